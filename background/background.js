@@ -3,16 +3,130 @@
 
 // Import the ArabicTransliterator class.
 import { ArabicTransliterator } from './transliteration-rules.js';
+import { listProfiles } from './dialect-profiles.js';
+import { CandidateGenerator } from './candidate-generator.js';
+import { Lexicon } from './lexicon.js';
+import { LearningStore } from './learning-store.js';
+import { TokenClassifier, TOKEN_TYPES } from './token-classifier.js';
+import { ArabicRomanizer } from './romanizer.js';
+import {
+    STORAGE_KEY_PROFILE,
+    STORAGE_KEY_CUSTOM_RULES,
+    STORAGE_KEY_NUMERAL_MODE,
+    applyEngineSettings,
+    readEngineSettings,
+    getChangedEngineSettings
+} from './engine-settings.js';
+import { normalizeSiteRules, isSiteEnabled, isPageEnabled, getSiteKey, setSiteEnabled } from './site-rules.js';
+import { WORD_FREQUENCIES } from './data/word-frequencies.js';
+import { ENGLISH_WORDS } from './data/english-words.js';
 
 // Initialize the transliterator instance.
 const transliterator = new ArabicTransliterator();
 
+// Leave English words, URLs, emails, mentions and code in Latin in mixed-language text.
+transliterator.setClassifier(new TokenClassifier(ENGLISH_WORDS));
+
+// Load the bundled Arabic lexicon used to rank suggestions and correct committed words.
+const lexicon = new Lexicon(WORD_FREQUENCIES);
+
+// Remember the spellings the user picks, to rank them first next time.
+const learningStore = new LearningStore(chrome.storage.local);
+
+// Initialize the candidate generator used for the suggestion list.
+const candidateGenerator = new CandidateGenerator(transliterator, lexicon, learningStore);
+
+// Reverse transliteration (Arabic to Arabizi, ALA-LC or DIN 31635) for the popup and the context menu.
+const romanizer = new ArabicRomanizer();
+
+// Context menu item ids. Romanization has parent items with one child per scheme ('romanize:<scheme>'):
+// one copies the result, the other (editable fields only) replaces the selection with it.
+const CONTEXT_MENU_TRANSLITERATE = 'transliterate';
+const CONTEXT_MENU_COPY_ARABIC = 'copy-arabic';
+const CONTEXT_MENU_ROMANIZE = 'romanize';
+const CONTEXT_MENU_ROMANIZE_REPLACE = 'romanize-replace';
+
+// Keyboard commands carried out by the content script of the active tab → the action sent to it.
+const WORD_COMMAND_ACTIONS = {
+    'transliterate-previous-word': 'transliteratePreviousWord',
+    'undo-transliteration': 'undoTransliteration'
+};
+
 // Define a key for storing the enabled state in browser storage.
 const STORAGE_KEY_ENABLED = 'translit_enabled';
 
+// The dialect profile, custom rules, dictionary, punctuation and numeral options are
+// stored under the keys of engine-settings.js, shared with the engine in the content script.
+
+// Define a key for the per-site allowlist/blocklist and field opt-out rules (kept in sync storage).
+const STORAGE_KEY_SITE_RULES = 'translit_site_rules';
+
+// Define a key for whether the on/off toggle applies to all tabs or to the current tab only.
+const STORAGE_KEY_TOGGLE_SCOPE = 'translit_toggle_scope';
+
+// Define a key for the per-tab on/off states (kept in session storage, so they survive
+// service worker restarts but not the browser session).
+const STORAGE_KEY_TAB_STATES = 'translit_tab_states';
+
+// Toggle scopes: 'global' switches every tab at once, 'tab' only the current tab.
+const TOGGLE_SCOPES = {
+    GLOBAL: 'global',
+    TAB: 'tab'
+};
+
+// Largest edit distance between a committed word and the user's hand edit of it
+// for the edit to be learned as a correction.
+const MAX_LEARNED_EDIT_DISTANCE = 1.5;
+
 // Track injected tabs to avoid duplicate injections
 const injectedTabs = new Set();
 
+// Per-site rules (see site-rules.js), loaded with the user's rules.
+let siteRules = normalizeSiteRules();
+
+// Global on/off state. In per-tab mode it is the state of tabs that were not toggled.
+let isGloballyEnabled = true;
+let toggleScope = TOGGLE_SCOPES.GLOBAL;
+
+// Tab id → on/off state of tabs toggled in per-tab mode.
+const tabStates = new Map();
+
+/**
+ * Check if a tab is switched on: its own state in per-tab mode, otherwise the global state.
+ */
+function isTabEnabled(tabId) {
+    if (toggleScope === TOGGLE_SCOPES.TAB && tabStates.has(tabId)) {
+        return tabStates.get(tabId);
+    }
+    return isGloballyEnabled;
+}
+
+/**
+ * Check if transliteration should run in a tab: the tab is switched on and the site rules allow its page.
+ */
+function isEnabledForTab(tabId, url) {
+    return isPageEnabled(isTabEnabled(tabId), url, siteRules);
+}
+
+/**
+ * Save the per-tab states to session storage.
+ */
+async function saveTabStates() {
+    try {
+        await chrome.storage.session.set({ [STORAGE_KEY_TAB_STATES]: Object.fromEntries(tabStates) });
+    } catch (error) {
+        console.error('[Background] Error saving tab states:', error);
+    }
+}
+
+/**
+ * Get the active tab of the last focused window.
+ */
+async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    return tab || null;
+}
+
 /**
  * Check if URL is a Google page - Enhanced version
  */
@@ -50,7 +164,7 @@ function isGooglePage(url) {
 /**
  * Enhanced content script injection with Google-specific handling
  */
-async function injectContentScript(tabId, isGoogle = false) {
+async function injectContentScript(tabId, isGoogle = false, url = null) {
     try {
         // Check if already injected
         if (injectedTabs.has(tabId)) {
@@ -58,6 +172,11 @@ async function injectContentScript(tabId, isGoogle = false) {
             return;
         }
 
+        // Skip sites where the site rules turn transliteration off
+        if (url && !isSiteEnabled(url, siteRules)) {
+            return;
+        }
+
         // Test if content script is already there
         const testResult = await chrome.tabs.sendMessage(tabId, { type: 'PING' }).catch(() => null);
         if (testResult) {
@@ -112,7 +231,7 @@ async function injectContentScript(tabId, isGoogle = false) {
         setTimeout(() => {
             chrome.tabs.sendMessage(tabId, {
                 type: 'TRANSLITERATOR_STATE_UPDATE',
-                isEnabled: transliterator.isTransliteratorEnabled(),
+                isEnabled: isEnabledForTab(tabId, url),
                 isGooglePage: isGoogle
             }).catch(error => {
                 console.warn(`[Background] Error sending initial state to tab ${tabId}:`, error);
@@ -126,74 +245,340 @@ async function injectContentScript(tabId, isGoogle = false) {
     }
 }
 
+/**
+ * Largest edit distance at which a committed word is snapped to a lexicon word.
+ * Short words are left alone: too many real words are only one letter apart.
+ */
+function getCorrectionDistance(text) {
+    const length = Array.from(text).length;
+    if (length <= 2) return 0;
+    if (length <= 4) return 0.5;
+    return 1;
+}
+
+/**
+ * Produce the final form of a committed word.
+ * Words inside URLs, emails, mentions or code stay Latin. Otherwise a personal
+ * dictionary entry wins, then the spelling the user chose most often (both even
+ * for words that look English); English words stay Latin, and other words get
+ * the rule-based transliteration, snapped to the nearest known word
+ * in the lexicon, if one is close enough. Only spellings the word's rule
+ * alternatives can produce are considered, so a word is never replaced by a
+ * different word that merely looks alike (كلب is not snapped to قلب).
+ *
+ * @param {string} word - The Latin word.
+ * @param {string} [before] - The text before the word on its line, used to classify it.
+ * @param {string} [after] - The separator typed after the word.
+ * @param {boolean} [force] - Transliterate the word even if it looks like English (previous-word shortcut).
+ * @returns {{text: string, type: string}} - The final text and its token type (see TOKEN_TYPES).
+ */
+function resolveCommittedWord(word, before = '', after = '', force = false) {
+    const protectedType = force ? null :
+        transliterator.getProtectedType(before + word + after, before.length, before.length + word.length);
+    if (protectedType) return { text: word, type: protectedType };
+
+    const dictionaryEntry = transliterator.lookupDictionary(word);
+    if (dictionaryEntry) return { text: dictionaryEntry, type: TOKEN_TYPES.ARABIZI };
+
+    const learned = learningStore.getPreferred(word);
+    if (learned) return { text: learned, type: TOKEN_TYPES.ARABIZI };
+
+    const type = force ? TOKEN_TYPES.ARABIZI : transliterator.classifyWord(word);
+    if (type !== TOKEN_TYPES.ARABIZI) return { text: word, type };
+
+    const transliterated = transliterator.applyRules(word);
+    const spellings = candidateGenerator.searchSpellings(word).map(spelling => spelling.text);
+    const match = lexicon.findNearest(transliterated, getCorrectionDistance(transliterated), spellings);
+    return { text: match ? match.word : transliterated, type };
+}
+
+/**
+ * Commit a word typed in a page (see resolveCommittedWord).
+ * With Arabic punctuation enabled, the separator after an Arabic word and an opening
+ * quote before it are returned in their Arabic forms (، ؟ ؛ « »). Content scripts first
+ * commit the word with their own engine (ArabicTransliterator.commitWord) and then only
+ * take the text from this reply, which adds learned choices and the lexicon.
+ *
+ * @param {string} word - The Latin word.
+ * @param {string} [before] - The text before the word on its line.
+ * @param {string} [after] - The separator typed after the word.
+ * @param {boolean} [force] - Skip the English/URL/code classification.
+ * @returns {{text: string, type: string, separator?: string, openingQuote?: string}} - The final text,
+ *          its token type and, for Arabic words, the punctuation to put around it.
+ */
+function commitWord(word, before = '', after = '', force = false) {
+    const result = resolveCommittedWord(word, before, after, force);
+    if (result.type !== TOKEN_TYPES.ARABIZI) return result;
+
+    return { ...result, ...transliterator.getWordPunctuation(word, before, after) };
+}
+
 /**
  * Sets the extension icon badge text and color based on the enabled state.
+ * @param {boolean} isEnabled - The state to show.
+ * @param {number} [tabId] - The tab whose badge is set; without it, the default badge of every tab.
  */
-function updateBadge(isEnabled) {
+function updateBadge(isEnabled, tabId) {
+    const target = tabId === undefined ? {} : { tabId };
     chrome.action.setBadgeText({
+        ...target,
         text: isEnabled ? 'ON' : 'OFF'
     });
     chrome.action.setBadgeBackgroundColor({
+        ...target,
         color: isEnabled ? '#4CAF50' : '#F44336'
     });
 }
 
+/**
+ * Sets the badge of every tab from its state (its toggle state and the site rules),
+ * and the default badge, used by new tabs, from the global state.
+ */
+async function refreshBadge() {
+    try {
+        updateBadge(isGloballyEnabled);
+        const tabs = await chrome.tabs.query({});
+        tabs.forEach(tab => updateBadge(isEnabledForTab(tab.id, tab.url), tab.id));
+    } catch (error) {
+        console.error('[Background] Error updating badge:', error);
+    }
+}
+
+/**
+ * Flip the on/off state: of the given tab in per-tab mode, otherwise of every tab.
+ * @param {object|null} tab - The tab the toggle was used in.
+ * @returns {Promise<boolean>} - The new state of that tab.
+ */
+async function toggleTransliterator(tab) {
+    if (toggleScope === TOGGLE_SCOPES.TAB && tab) {
+        const newState = !isTabEnabled(tab.id);
+        tabStates.set(tab.id, newState);
+        await saveTabStates();
+        await sendStateToTab(tab);
+        await refreshBadge();
+        return newState;
+    }
+
+    isGloballyEnabled = !isGloballyEnabled;
+
+    try {
+        await chrome.storage.local.set({ [STORAGE_KEY_ENABLED]: isGloballyEnabled });
+    } catch (error) {
+        console.error('[Background] Error saving transliterator state:', error);
+    }
+
+    // Broadcast to all tabs
+    await broadcastStateUpdate();
+    await refreshBadge();
+    return isGloballyEnabled;
+}
+
 /**
  * Loads the enabled state from storage and initializes the transliterator.
  */
 async function initializeTransliteratorState() {
     try {
-        const result = await chrome.storage.local.get(STORAGE_KEY_ENABLED);
+        const result = await chrome.storage.local.get([STORAGE_KEY_ENABLED, STORAGE_KEY_TOGGLE_SCOPE]);
         const isEnabled = result[STORAGE_KEY_ENABLED] !== undefined ? result[STORAGE_KEY_ENABLED] : true; 
 
-        transliterator.setEnabled(isEnabled);
-        updateBadge(isEnabled);
+        isGloballyEnabled = isEnabled;
+
+        // Restore the per-tab states kept for this browser session
+        toggleScope = result[STORAGE_KEY_TOGGLE_SCOPE] === TOGGLE_SCOPES.TAB ? TOGGLE_SCOPES.TAB : TOGGLE_SCOPES.GLOBAL;
+        const session = await chrome.storage.session.get(STORAGE_KEY_TAB_STATES);
+        Object.entries(session[STORAGE_KEY_TAB_STATES] || {}).forEach(([tabId, state]) => {
+            tabStates.set(Number(tabId), state);
+        });
+
+        await refreshBadge();
         // Transliterator state initialized
 
         // Inject content scripts into all existing tabs
         const tabs = await chrome.tabs.query({});
         for (const tab of tabs) {
             if (tab.id && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
-                await injectContentScript(tab.id, isGooglePage(tab.url));
+                await injectContentScript(tab.id, isGooglePage(tab.url), tab.url);
             }
         }
 
     } catch (error) {
         console.error('[Background] Error loading transliterator state:', error);
-        transliterator.setEnabled(true);
+        isGloballyEnabled = true;
         updateBadge(true);
     }
 }
 
+/**
+ * Loads the dialect profile, the user's custom rules, personal dictionary and
+ * punctuation/numeral options into the transliterator, and the per-site rules.
+ */
+async function loadUserRules() {
+    try {
+        warnInvalidSettings(applyEngineSettings(transliterator, await readEngineSettings(chrome.storage)));
+
+        const result = await chrome.storage.sync.get(STORAGE_KEY_SITE_RULES);
+        siteRules = normalizeSiteRules(result[STORAGE_KEY_SITE_RULES]);
+    } catch (error) {
+        console.error('[Background] Error loading custom rules and dictionary:', error);
+    }
+}
+
+/**
+ * Log the stored engine options that were invalid and replaced by their default.
+ * @param {Array<string>} keys - The storage keys returned by applyEngineSettings.
+ */
+function warnInvalidSettings(keys) {
+    keys.forEach(key => console.warn(`[Background] Invalid value stored for "${key}", using default`));
+}
+
+/**
+ * Tell open extension pages (the options page cheat sheet) that the active rules changed.
+ */
+function notifyRulesChanged() {
+    chrome.runtime.sendMessage({ type: 'RULES_UPDATED' }).catch(() => {
+        // No extension page is listening.
+    });
+}
+
+/**
+ * Send the state of a tab (its toggle state and the site rules) to its content script
+ */
+async function sendStateToTab(tab) {
+    if (!tab.id || !tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) return;
+
+    const isEnabled = isEnabledForTab(tab.id, tab.url);
+
+    // Ensure content script is injected first
+    if (isEnabled && !injectedTabs.has(tab.id)) {
+        await injectContentScript(tab.id, isGooglePage(tab.url), tab.url);
+    }
+    
+    // Send state update using new format
+    chrome.tabs.sendMessage(tab.id, {
+        action: 'toggle',
+        enabled: isEnabled,
+        fieldSelectors: siteRules.fieldSelectors
+    }).catch(error => {
+        if (!error.message.includes("Could not establish connection")) {
+            console.warn(`[Background] Error sending state update to tab ${tab.id}:`, error);
+        }
+    });
+}
+
 /**
  * Send state update to all tabs
  */
-async function broadcastStateUpdate(newState) {
+async function broadcastStateUpdate() {
     try {
         const tabs = await chrome.tabs.query({});
         for (const tab of tabs) {
-            if (tab.id && tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
-                // Ensure content script is injected first
-                if (!injectedTabs.has(tab.id)) {
-                    await injectContentScript(tab.id, isGooglePage(tab.url));
-                }
-                
-                // Send state update using new format
-                chrome.tabs.sendMessage(tab.id, {
-                    action: 'toggle',
-                    enabled: newState
-                }).catch(error => {
-                    if (!error.message.includes("Could not establish connection")) {
-                        console.warn(`[Background] Error sending state update to tab ${tab.id}:`, error);
-                    }
-                });
-            }
+            await sendStateToTab(tab);
         }
     } catch (error) {
         console.error('[Background] Error broadcasting state update:', error);
     }
 }
 
+/**
+ * Create the context menu shown on selected text.
+ */
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_TRANSLITERATE,
+            title: 'Transliterate selection',
+            contexts: ['editable']
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_COPY_ARABIC,
+            title: 'Copy Arabic',
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_ROMANIZE,
+            title: 'Copy romanized selection',
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_ROMANIZE_REPLACE,
+            title: 'Replace selection with romanization',
+            contexts: ['editable']
+        });
+        romanizer.listSchemes().forEach(scheme => {
+            chrome.contextMenus.create({
+                id: `${CONTEXT_MENU_ROMANIZE}:${scheme.id}`,
+                parentId: CONTEXT_MENU_ROMANIZE,
+                title: scheme.name,
+                contexts: ['selection']
+            });
+            chrome.contextMenus.create({
+                id: `${CONTEXT_MENU_ROMANIZE_REPLACE}:${scheme.id}`,
+                parentId: CONTEXT_MENU_ROMANIZE_REPLACE,
+                title: scheme.name,
+                contexts: ['editable']
+            });
+        });
+    });
+}
+
+/**
+ * Runs in the page: replaces the selection with the text when it is in an editable field,
+ * otherwise copies the text to the clipboard. Injected with chrome.scripting, so it may
+ * only use its arguments and page APIs.
+ * @param {string} text - The text to insert or copy.
+ * @param {boolean} replace - True if the selection is editable.
+ * @returns {Promise<string>} - 'replaced' or 'copied'.
+ */
+async function insertOrCopyText(text, replace) {
+    if (replace && document.execCommand('insertText', false, text)) {
+        return 'replaced';
+    }
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (error) {
+        // The Clipboard API needs a focused document; fall back to a temporary text area.
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+    }
+    return 'copied';
+}
+
+/**
+ * Put converted text in place of the selection it was made from, or on the clipboard.
+ * Editable selections are replaced by the content script, which keeps the caret and the
+ * field's direction up to date; frames without it fall back to an injected script.
+ * @param {object} tab - The tab of the selection.
+ * @param {number} frameId - The frame of the selection.
+ * @param {string} text - The converted text.
+ * @param {boolean} editable - True to replace the selection, false to copy the text.
+ */
+async function deliverSelectionResult(tab, frameId, text, editable) {
+    if (editable) {
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { action: 'replaceSelection', text: text }, { frameId: frameId || 0 });
+            if (response && response.success) return;
+        } catch (error) {
+            // No content script in this frame (e.g. a site where transliteration is turned off).
+        }
+    }
+
+    try {
+        await chrome.scripting.executeScript({
+            target: { tabId: tab.id, frameIds: [frameId || 0] },
+            func: insertOrCopyText,
+            args: [text, editable]
+        });
+    } catch (error) {
+        console.error('[Background] Error delivering converted selection:', error);
+    }
+}
+
 // --- Event Listeners ---
 
 // 1. Listen for messages from content scripts and popup.
@@ -210,29 +595,105 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
         return true;
     } else if (message.type === 'GET_TRANSLITERATOR_STATE') {
+        (async () => {
+            // In per-tab mode the popup shows the state of the tab it was opened on.
+            const tab = toggleScope === TOGGLE_SCOPES.TAB ? await getActiveTab() : null;
+            sendResponse({
+                type: 'TRANSLITERATOR_STATE_RESPONSE',
+                isEnabled: tab ? isTabEnabled(tab.id) : isGloballyEnabled,
+                toggleScope: toggleScope,
+                profileId: transliterator.getProfileId(),
+                profiles: listProfiles(),
+                romanizationSchemes: romanizer.listSchemes()
+            });
+        })();
+        return true;
+    } else if (message.type === 'GET_LEARNED_ENTRIES') {
         sendResponse({
-            type: 'TRANSLITERATOR_STATE_RESPONSE',
-            isEnabled: transliterator.isTransliteratorEnabled()
+            type: 'LEARNED_ENTRIES_RESPONSE',
+            entries: learningStore.getEntries()
         });
         return true;
-    } else if (message.type === 'TOGGLE_TRANSLITERATOR') {
+    } else if (message.type === 'CLEAR_LEARNED') {
+        learningStore.clear()
+            .then(() => sendResponse({ type: 'CLEAR_LEARNED_RESPONSE', success: true }))
+            .catch(error => {
+                console.error('[Background] Error clearing learned choices:', error);
+                sendResponse({ type: 'CLEAR_LEARNED_RESPONSE', success: false });
+            });
+        return true;
+    } else if (message.type === 'GET_SITE_STATE') {
+        sendResponse({
+            type: 'SITE_STATE_RESPONSE',
+            site: getSiteKey(message.url),
+            isSiteEnabled: isSiteEnabled(message.url, siteRules),
+            mode: siteRules.mode
+        });
+        return true;
+    } else if (message.type === 'SET_SITE_ENABLED') {
         (async () => {
-            const currentState = transliterator.isTransliteratorEnabled();
-            const newState = !currentState;
-
-            transliterator.setEnabled(newState);
-            updateBadge(newState);
+            const updatedRules = setSiteEnabled(siteRules, message.url, message.enabled);
+            let success = true;
 
             try {
-                await chrome.storage.local.set({ [STORAGE_KEY_ENABLED]: newState });
-                // State toggled via keyboard shortcut
+                // The storage listener applies the new rules and notifies the tabs.
+                await chrome.storage.sync.set({ [STORAGE_KEY_SITE_RULES]: updatedRules });
             } catch (error) {
-                console.error('[Background] Error saving transliterator state:', error);
+                console.error('[Background] Error saving site rules:', error);
+                success = false;
             }
 
-            // Broadcast to all tabs
-            await broadcastStateUpdate(newState);
+            sendResponse({
+                type: 'SET_SITE_ENABLED_RESPONSE',
+                success: success,
+                isSiteEnabled: isSiteEnabled(message.url, updatedRules)
+            });
+        })();
+
+        return true;
+    } else if (message.type === 'SET_PROFILE') {
+        (async () => {
+            const success = transliterator.setProfile(message.profileId);
 
+            if (success) {
+                notifyRulesChanged();
+                try {
+                    await chrome.storage.local.set({ [STORAGE_KEY_PROFILE]: message.profileId });
+                } catch (error) {
+                    console.error('[Background] Error saving dialect profile:', error);
+                }
+            }
+
+            sendResponse({
+                type: 'SET_PROFILE_RESPONSE',
+                success: success,
+                profileId: transliterator.getProfileId()
+            });
+        })();
+
+        return true;
+    } else if (message.type === 'GET_PREVIEW') {
+        sendResponse({
+            type: 'PREVIEW_RESPONSE',
+            text: transliterator.getPreview(message.text)
+        });
+        return true;
+    } else if (message.type === 'GET_RULES') {
+        sendResponse({
+            type: 'RULES_RESPONSE',
+            rules: transliterator.getRules(),
+            profileName: transliterator.profile.name
+        });
+        return true;
+    } else if (message.type === 'ROMANIZE') {
+        sendResponse({
+            type: 'ROMANIZE_RESPONSE',
+            text: romanizer.romanize(message.text, message.scheme)
+        });
+        return true;
+    } else if (message.type === 'TOGGLE_TRANSLITERATOR') {
+        (async () => {
+            const newState = await toggleTransliterator(await getActiveTab());
             sendResponse({ type: 'TOGGLE_RESPONSE', newState: newState });
         })();
 
@@ -241,32 +702,36 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     
     // Handle new content script messages
     else if (message.action === 'transliterate') {
-        const transliteratedText = transliterator.transliterate(message.text);
-        sendResponse({ transliteratedText });
+        const { text, tokens } = transliterator.analyze(message.text);
+        sendResponse({ transliteratedText: text, tokens });
+        return true;
+    } else if (message.action === 'getCandidates') {
+        sendResponse({ candidates: candidateGenerator.getCandidates(message.word, message.limit) });
+        return true;
+    } else if (message.action === 'commitWord') {
+        sendResponse(commitWord(message.word, message.before, message.after, Boolean(message.force)));
+        return true;
+    } else if (message.action === 'recordChoice') {
+        // Hand edits of a committed word are only learned when they look like a correction
+        // of that word, not a different word typed in its place.
+        const isCorrection = !message.original ||
+            lexicon.distance(message.original, message.text) <= MAX_LEARNED_EDIT_DISTANCE;
+        if (isCorrection) {
+            learningStore.record(message.word, message.text);
+        }
+        sendResponse({ success: isCorrection });
         return true;
     } else if (message.action === 'getState') {
-        sendResponse({ enabled: transliterator.isTransliteratorEnabled() });
+        const tabId = sender.tab ? sender.tab.id : null;
+        const url = sender.tab ? sender.tab.url : sender.url;
+        sendResponse({ enabled: isEnabledForTab(tabId, url), fieldSelectors: siteRules.fieldSelectors });
         return true;
     }
 });
 
 // 2. Listen for clicks on the extension's browser action icon.
 chrome.action.onClicked.addListener(async (tab) => {
-    const currentState = transliterator.isTransliteratorEnabled();
-    const newState = !currentState;
-
-    transliterator.setEnabled(newState);
-    updateBadge(newState);
-
-    try {
-        await chrome.storage.local.set({ [STORAGE_KEY_ENABLED]: newState });
-        // State toggled via icon click
-    } catch (error) {
-        console.error('[Background] Error saving transliterator state (icon click):', error);
-    }
-
-    // Broadcast to all tabs
-    await broadcastStateUpdate(newState);
+    await toggleTransliterator(tab);
 });
 
 // 3. Enhanced tab update listener with better Google handling
@@ -284,14 +749,16 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
         const injectionDelay = isGoogle ? 2000 : 500;
         
         setTimeout(async () => {
-            await injectContentScript(tabId, isGoogle);
+            await injectContentScript(tabId, isGoogle, tab.url);
+            updateBadge(isEnabledForTab(tabId, tab.url), tabId);
             
             // Send state update with additional delay for Google pages
             const stateDelay = isGoogle ? 1000 : 500;
             setTimeout(() => {
                 chrome.tabs.sendMessage(tabId, {
                     action: 'toggle',
-                    enabled: transliterator.isTransliteratorEnabled()
+                    enabled: isEnabledForTab(tabId, tab.url),
+                    fieldSelectors: siteRules.fieldSelectors
                 }).catch(error => {
                     if (!error.message.includes("Could not establish connection")) {
                         console.warn(`[Background] Error sending state update on tab update ${tabId}:`, error);
@@ -305,14 +772,18 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 // 4. Clean up when tabs are removed
 chrome.tabs.onRemoved.addListener((tabId) => {
     injectedTabs.delete(tabId);
+    if (tabStates.delete(tabId)) {
+        saveTabStates();
+    }
 });
 
-// 5. Handle tab activation to ensure content script is ready
+// 5. Handle tab activation to ensure content script is ready and show the tab's state in the badge
 chrome.tabs.onActivated.addListener(async (activeInfo) => {
     const tab = await chrome.tabs.get(activeInfo.tabId);
+    updateBadge(isEnabledForTab(tab.id, tab.url), tab.id);
     if (tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('chrome-extension://')) {
         if (!injectedTabs.has(activeInfo.tabId)) {
-            await injectContentScript(activeInfo.tabId, isGooglePage(tab.url));
+            await injectContentScript(activeInfo.tabId, isGooglePage(tab.url), tab.url);
         }
     }
 });
@@ -320,23 +791,71 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 // 6. Listen for keyboard commands
 chrome.commands.onCommand.addListener(async (command) => {
     if (command === 'toggle-transliteration') {
-        const currentState = transliterator.isTransliteratorEnabled();
-        const newState = !currentState;
-
-        transliterator.setEnabled(newState);
-        updateBadge(newState);
+        await toggleTransliterator(await getActiveTab());
+    } else if (command in WORD_COMMAND_ACTIONS) {
+        const activeTab = await getActiveTab();
+        if (activeTab) {
+            chrome.tabs.sendMessage(activeTab.id, { action: WORD_COMMAND_ACTIONS[command] }).catch(error => {
+                console.warn(`[Background] Could not run "${command}" in the active tab:`, error.message);
+            });
+        }
+    }
+});
 
-        try {
-            await chrome.storage.local.set({ [STORAGE_KEY_ENABLED]: newState });
-            // State toggled via keyboard shortcut
-        } catch (error) {
-            console.error('[Background] Error saving transliterator state (keyboard shortcut):', error);
+// 7. Reload the engine options (profile, custom rules, dictionary, punctuation/numerals) and the site
+// rules when they are edited on the options page (or from the popup), and apply the toggle scope.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    warnInvalidSettings(applyEngineSettings(transliterator, getChangedEngineSettings(changes, areaName)));
+
+    if (areaName === 'local' && changes[STORAGE_KEY_TOGGLE_SCOPE]) {
+        toggleScope = changes[STORAGE_KEY_TOGGLE_SCOPE].newValue === TOGGLE_SCOPES.TAB ?
+            TOGGLE_SCOPES.TAB : TOGGLE_SCOPES.GLOBAL;
+        // Tabs switched separately follow the global state again.
+        if (toggleScope === TOGGLE_SCOPES.GLOBAL && tabStates.size > 0) {
+            tabStates.clear();
+            saveTabStates();
+            broadcastStateUpdate();
+            refreshBadge();
         }
+    }
+    if (areaName !== 'sync') return;
 
-        // Broadcast to all tabs
-        await broadcastStateUpdate(newState);
+    if (changes[STORAGE_KEY_CUSTOM_RULES] || changes[STORAGE_KEY_NUMERAL_MODE]) {
+        notifyRulesChanged();
+    }
+    if (changes[STORAGE_KEY_SITE_RULES]) {
+        siteRules = normalizeSiteRules(changes[STORAGE_KEY_SITE_RULES].newValue);
+        broadcastStateUpdate();
+        refreshBadge();
     }
 });
 
-// 7. Initialize the state when the service worker starts up.
+// 8. Create the context menu when the extension is installed or updated.
+chrome.runtime.onInstalled.addListener(() => {
+    createContextMenus();
+});
+
+// 9. Handle context menu clicks: transliterate, copy as Arabic or romanize the selected text.
+// Romanizing copies the result unless the user picked the replace item, since the selection
+// is usually Arabic the user wants to keep.
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (!tab || !info.selectionText) return;
+
+    const [menu, scheme] = String(info.menuItemId).split(':');
+    if (menu === CONTEXT_MENU_TRANSLITERATE || menu === CONTEXT_MENU_COPY_ARABIC) {
+        const text = transliterator.transliterate(info.selectionText);
+        await deliverSelectionResult(tab, info.frameId, text, menu === CONTEXT_MENU_TRANSLITERATE && info.editable);
+    } else if ((menu === CONTEXT_MENU_ROMANIZE || menu === CONTEXT_MENU_ROMANIZE_REPLACE) && scheme) {
+        const text = romanizer.romanize(info.selectionText, scheme);
+        if (text !== null) {
+            await deliverSelectionResult(tab, info.frameId, text, menu === CONTEXT_MENU_ROMANIZE_REPLACE && info.editable);
+        }
+    }
+});
+
+// 10. Initialize the state when the service worker starts up.
+loadUserRules();
+learningStore.load().catch(error => {
+    console.error('[Background] Error loading learned choices:', error);
+});
 initializeTransliteratorState();
\ No newline at end of file
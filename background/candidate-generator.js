@@ -0,0 +1,111 @@
+// candidate-generator.js
+// Generates ranked Arabic spellings for a Latin (Arabizi) word.
+// Candidates combine each token's primary output with its rule alternatives
+// (e.g. 't' → ت/ة/ط) and are ranked with the bundled lexicon's word frequencies
+// and the spellings the user picked before.
+
+// Number of partial spellings kept after each token (beam search width).
+const BEAM_WIDTH = 64;
+
+// Default number of candidates returned.
+const DEFAULT_CANDIDATE_LIMIT = 5;
+
+class CandidateGenerator {
+    /**
+     * @param {ArabicTransliterator} transliterator - The engine providing tokens, rules and the dictionary.
+     * @param {Lexicon} lexicon - Known Arabic words with their frequencies.
+     * @param {LearningStore} [learningStore] - Spellings the user chose before.
+     */
+    constructor(transliterator, lexicon, learningStore = null) {
+        this.transliterator = transliterator;
+        this.lexicon = lexicon;
+        this.learningStore = learningStore;
+    }
+
+    /**
+     * Get ranked Arabic spellings for a Latin word.
+     * Order: personal dictionary entry, learned spellings by how often they were chosen,
+     * known words by frequency, the rule-based transliteration, then other spellings
+     * using the fewest alternatives.
+     *
+     * @param {string} word - The Latin (Arabizi) word.
+     * @param {number} [limit] - The maximum number of candidates.
+     * @returns {Array<{text: string, frequency: number, source: string}>} - The candidates, best first.
+     *          `source` is 'dictionary', 'learned', 'lexicon' or 'rules'.
+     */
+    getCandidates(word, limit = DEFAULT_CANDIDATE_LIMIT) {
+        if (!word) {
+            return [];
+        }
+
+        const primary = this.transliterator.applyRules(word);
+        const ranked = this.searchSpellings(word)
+            .map(spelling => ({
+                text: spelling.text,
+                cost: spelling.cost,
+                frequency: this.lexicon.getFrequency(spelling.text)
+            }))
+            .sort((a, b) => (b.frequency - a.frequency) ||
+                ((a.text === primary ? 0 : 1) - (b.text === primary ? 0 : 1)) ||
+                (a.cost - b.cost));
+
+        const candidates = [];
+        const addCandidate = (text, frequency, source) => {
+            if (text && !candidates.some(candidate => candidate.text === text)) {
+                candidates.push({ text, frequency, source });
+            }
+        };
+
+        const dictionaryEntry = this.transliterator.lookupDictionary(word);
+        if (dictionaryEntry) {
+            addCandidate(dictionaryEntry, this.lexicon.getFrequency(dictionaryEntry), 'dictionary');
+        }
+        if (this.learningStore) {
+            for (const choice of this.learningStore.getChoices(word)) {
+                addCandidate(choice.arabic, this.lexicon.getFrequency(choice.arabic), 'learned');
+            }
+        }
+        for (const spelling of ranked) {
+            addCandidate(spelling.text, spelling.frequency, spelling.frequency > 0 ? 'lexicon' : 'rules');
+        }
+        addCandidate(primary, this.lexicon.getFrequency(primary), 'rules');
+
+        return candidates.slice(0, limit);
+    }
+
+    /**
+     * Beam search over the primary output and alternatives of every token.
+     * @param {string} word - The Latin (Arabizi) word.
+     * @returns {Array<{text: string, cost: number}>} - Spellings with the number of alternatives used.
+     */
+    searchSpellings(word) {
+        let beam = [{ text: '', cost: 0 }];
+
+        for (const token of this.transliterator.tokenize(word)) {
+            const options = [
+                { text: token.arabic, cost: 0 },
+                ...token.alternatives.map(alternative => ({ text: alternative, cost: 1 }))
+            ];
+
+            const expanded = new Map();
+            for (const partial of beam) {
+                for (const option of options) {
+                    const text = partial.text + option.text;
+                    const cost = partial.cost + option.cost;
+                    if (!expanded.has(text) || expanded.get(text).cost > cost) {
+                        expanded.set(text, { text, cost });
+                    }
+                }
+            }
+
+            beam = [...expanded.values()]
+                .sort((a, b) => ((this.lexicon.hasPrefix(b.text) ? 1 : 0) - (this.lexicon.hasPrefix(a.text) ? 1 : 0)) ||
+                    (a.cost - b.cost))
+                .slice(0, BEAM_WIDTH);
+        }
+
+        return beam;
+    }
+}
+
+export { CandidateGenerator, BEAM_WIDTH };
@@ -0,0 +1,62 @@
+// english-words.js
+// Bundled list of common English words, used by the TokenClassifier (see token-classifier.js)
+// to leave English words untouched in mixed Arabic/English text.
+// Words that are also common Arabizi spellings (e.g. 'hub' حب, 'law' لو, 'min' من, 'an' أن,
+// 'hi' هي, 'bas' بس, 'fin' فين, 'hat' هات, 'ward' ورد, 'door' دور) are deliberately left out.
+// Format: lowercase words, compared case-insensitively.
+
+const ENGLISH_WORDS = [
+    // --- Function words and pronouns ---
+    'the', 'of', 'and', 'to', 'in', 'is', 'it', 'you', 'that', 'he', 'was', 'for', 'on', 'are',
+    'with', 'as', 'his', 'they', 'be', 'at', 'one', 'have', 'this', 'from', 'or', 'had', 'by',
+    'but', 'not', 'what', 'all', 'were', 'we', 'when', 'your', 'can', 'said', 'there', 'use',
+    'each', 'which', 'she', 'do', 'how', 'their', 'if', 'will', 'up', 'other', 'about',
+    'out', 'many', 'then', 'them', 'these', 'so', 'some', 'her', 'would', 'make', 'like', 'him',
+    'into', 'time', 'has', 'look', 'two', 'more', 'write', 'go', 'see', 'number', 'no', 'way',
+    'could', 'people', 'my', 'than', 'first', 'been', 'call', 'who', 'its', 'now', 'find',
+    'long', 'down', 'day', 'did', 'get', 'come', 'made', 'may', 'part', 'over', 'new', 'after',
+    'also', 'our', 'me', 'us', 'am', 'because', 'just', 'should', 'those', 'where', 'why',
+    'while', 'before', 'still', 'never', 'always', 'any', 'every', 'much', 'very', 'here',
+    'only', 'both', 'same', 'such', 'even', 'most', 'again', 'off', 'too', 'own', 'until',
+    'though', 'through', 'between', 'under', 'without', 'within', 'something', 'nothing',
+    'everything', 'anything', 'someone', 'everyone', 'anyone', 'myself', 'yourself',
+
+    // --- Common verbs ---
+    'know', 'think', 'take', 'want', 'give', 'tell', 'work', 'need', 'feel', 'try', 'leave',
+    'put', 'mean', 'keep', 'let', 'begin', 'seem', 'help', 'talk', 'turn', 'start', 'show',
+    'hear', 'play', 'run', 'move', 'live', 'believe', 'bring', 'happen', 'sit', 'stand',
+    'lose', 'pay', 'meet', 'include', 'continue', 'learn', 'change', 'lead', 'understand',
+    'watch', 'follow', 'stop', 'create', 'speak', 'read', 'spend', 'grow', 'open', 'walk',
+    'win', 'offer', 'remember', 'love', 'consider', 'appear', 'buy', 'wait', 'serve', 'die',
+    'send', 'expect', 'build', 'stay', 'fall', 'cut', 'reach', 'kill', 'remain', 'check',
+    'going', 'doing', 'thanks', 'thank', 'please', 'sorry', 'got', 'went', 'knew', 'told',
+    'thought', 'sent', 'saw', 'done', 'gone', 'being', 'having', 'getting', 'working',
+    'sure', 'okay', 'ok', 'yes', 'yeah', 'hello', 'hey', 'bye', 'lol', 'omg', 'btw',
+    'welcome', 'cool', 'nice', 'great', 'awesome', 'fine', 'good', 'bad', 'best', 'better',
+
+    // --- Common nouns and adjectives ---
+    'world', 'life', 'home', 'house', 'school', 'family', 'friend', 'friends', 'group',
+    'country', 'problem', 'question', 'business', 'money', 'story', 'job', 'word', 'words',
+    'issue', 'side', 'kind', 'head', 'service', 'place', 'week', 'company',
+    'system', 'program', 'point', 'government', 'night', 'water', 'room', 'mother', 'father',
+    'area', 'city', 'community', 'name', 'team', 'idea', 'kid', 'body', 'information', 'back',
+    'parent', 'face', 'others', 'level', 'office', 'health', 'person', 'art', 'war',
+    'history', 'party', 'result', 'morning', 'reason', 'research', 'girl', 'guy', 'moment',
+    'air', 'teacher', 'force', 'education', 'food', 'phone', 'email', 'message', 'meeting',
+    'link', 'page', 'site', 'website', 'online', 'video', 'photo', 'picture', 'file', 'files',
+    'free', 'sale', 'price', 'order', 'deal', 'game', 'music', 'movie', 'book', 'news', 'car',
+    'today', 'tomorrow', 'yesterday', 'weekend', 'month', 'year', 'hour', 'minute', 'second',
+    'little', 'big', 'small', 'old', 'young', 'high', 'low', 'right', 'left', 'next', 'last',
+    'late', 'early', 'different', 'important', 'public', 'real', 'full', 'easy', 'hard',
+    'happy', 'sad', 'funny', 'true', 'false', 'ready', 'busy', 'available', 'possible',
+
+    // --- Technology and the web ---
+    'http', 'https', 'www', 'html', 'css', 'api', 'app', 'apps', 'url', 'json', 'code', 'bug',
+    'fix', 'test', 'deploy', 'server', 'client', 'login', 'logout', 'password',
+    'username', 'account', 'update', 'download', 'upload', 'install', 'click', 'share', 'post',
+    'chat', 'google', 'facebook', 'twitter', 'instagram', 'youtube', 'whatsapp', 'github',
+    'windows', 'linux', 'mac', 'iphone', 'android', 'laptop', 'computer', 'internet', 'wifi',
+    'data', 'cloud', 'screen', 'keyboard', 'mouse', 'browser', 'chrome', 'extension', 'settings'
+];
+
+export { ENGLISH_WORDS };
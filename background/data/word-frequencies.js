@@ -0,0 +1,116 @@
+// word-frequencies.js
+// Bundled list of common Arabic words (Modern Standard Arabic and the main dialects)
+// with approximate relative frequencies. Loaded into the Lexicon (see lexicon.js), which
+// ranks transliteration candidates and corrects committed words.
+// Format: [word, frequency]. Higher frequency means a more common word.
+
+const WORD_FREQUENCIES = [
+    // --- Function words and pronouns ---
+    ['في', 9800], ['من', 9700], ['على', 9500], ['أن', 9300], ['إلى', 9200], ['و', 9100],
+    ['ما', 9000], ['لا', 8900], ['هذا', 8800], ['هذه', 8600], ['مع', 8500], ['عن', 8400],
+    ['كان', 8300], ['هو', 8200], ['هي', 8100], ['التي', 8000], ['الذي', 7900], ['كل', 7800],
+    ['أنا', 7700], ['إن', 7600], ['لم', 7500], ['قد', 7400], ['بعد', 7300], ['ذلك', 7200],
+    ['أو', 7100], ['بين', 7000], ['عند', 6900], ['لكن', 6800], ['حتى', 6700], ['إذا', 6600],
+    ['أنت', 6500], ['نحن', 6400], ['هم', 6300], ['أنتم', 6000], ['هنا', 5900], ['هناك', 5800],
+    ['الآن', 5700], ['كيف', 5600], ['لماذا', 5500], ['متى', 5400], ['أين', 5300], ['ماذا', 5200],
+    ['نعم', 5100], ['قبل', 4900], ['فقط', 4800], ['أيضا', 4700], ['جدا', 4600],
+    ['يا', 4500], ['لي', 4400], ['لك', 4300], ['له', 4200], ['لها', 4100], ['بس', 4000],
+
+    // --- Greetings and common expressions ---
+    ['سلام', 3950], ['السلام', 3900], ['عليكم', 3850], ['مرحبا', 3800], ['أهلا', 3750],
+    ['شكرا', 3700], ['الله', 3650], ['والله', 3600], ['إن شاء الله', 3550], ['الحمد لله', 3500],
+    ['ما شاء الله', 3450], ['صباح', 3400], ['الخير', 3350], ['مساء', 3300], ['النور', 3250],
+    ['سهلا', 3200], ['حبيبي', 3150], ['حبيبتي', 3100], ['تمام', 3050], ['طيب', 3000],
+    ['عفوا', 2950], ['آسف', 2900], ['مبروك', 2850], ['يلا', 2800], ['خلاص', 2750],
+    ['شاء', 2650], ['يعني', 2600], ['أكيد', 2550], ['ممكن', 2500],
+
+    // --- Common verbs ---
+    ['قال', 2480], ['يقول', 2460], ['كانت', 2440], ['يكون', 2420], ['أريد', 2400],
+    ['بدي', 2380], ['عايز', 2360], ['أبغى', 2340], ['أعرف', 2320], ['بعرف', 2300],
+    ['شفت', 2280], ['رأيت', 2260], ['جاء', 2240], ['راح', 2220], ['روح', 2200],
+    ['تعال', 2180], ['كتب', 2160], ['قرأ', 2140], ['أكل', 2120], ['شرب', 2100],
+    ['نام', 2080], ['عمل', 2060], ['سافر', 2040], ['رجع', 2020], ['فهمت', 2000],
+    ['أحب', 1980], ['بحبك', 1960], ['أحبك', 1940], ['ساعد', 1920], ['اتصل', 1900],
+    ['انتظر', 1880], ['خلي', 1860], ['شوف', 1840], ['قلت', 1820], ['عرفت', 1800],
+
+    ['يعرف', 1790], ['بيعرف', 1785], ['يريد', 1780], ['تريد', 1775], ['نريد', 1770],
+    ['قالت', 1765], ['قلنا', 1760], ['كنت', 1755], ['كنا', 1750], ['صار', 1745],
+    ['بدك', 1740], ['بدنا', 1735], ['عندي', 1730], ['عندك', 1725], ['عنده', 1720],
+    ['عندها', 1715], ['عندنا', 1710], ['فيه', 1705], ['فيها', 1700], ['منه', 1695],
+    ['منها', 1690], ['معي', 1685], ['معك', 1680], ['معاك', 1675], ['إلي', 1670],
+    ['يمكن', 1665], ['لازم', 1660], ['مش', 1655], ['مو', 1650], ['ماكو', 1645],
+    ['ليه', 1640], ['لأن', 1635], ['لما', 1630], ['إنو', 1625], ['كيفك', 1620],
+    ['كيفكم', 1615], ['شلونك', 1610], ['إزيك', 1605], ['عامل', 1600], ['أخبارك', 1595],
+    ['تعرف', 1590], ['تعرفي', 1585], ['شكلك', 1580], ['نشوف', 1575], ['نروح', 1570],
+    ['أروح', 1565], ['أجي', 1560], ['يجي', 1555], ['جيت', 1550], ['رحت', 1545],
+    ['نحكي', 1540], ['حكيت', 1535], ['احكي', 1530], ['بكلمك', 1525], ['كلمني', 1520],
+    ['ابعت', 1515], ['بعتلك', 1510], ['استنى', 1505], ['خليني', 1500], ['قاعد', 1495],
+    ['نايم', 1490], ['صاحي', 1485], ['جاي', 1480], ['رايح', 1475], ['فاهم', 1470],
+
+    // --- Common nouns ---
+    ['يوم', 1780], ['اليوم', 1760], ['بكرة', 1740], ['أمس', 1720], ['وقت', 1700],
+    ['ساعة', 1680], ['سنة', 1660], ['شهر', 1640], ['أسبوع', 1620], ['ليلة', 1600],
+    ['بيت', 1580], ['البيت', 1560], ['مدرسة', 1540], ['جامعة', 1520], ['شغل', 1500],
+    ['سيارة', 1460], ['طريق', 1440], ['مدينة', 1420], ['بلد', 1400],
+    ['ناس', 1380], ['الناس', 1360], ['رجل', 1340], ['امرأة', 1320], ['ولد', 1300],
+    ['بنت', 1280], ['أم', 1260], ['أب', 1240], ['أخ', 1220], ['أخت', 1200],
+    ['أخي', 1180], ['أختي', 1160], ['ماما', 1140], ['بابا', 1120], ['عائلة', 1100],
+    ['صديق', 1080], ['صاحبي', 1060], ['ماء', 1020], ['مي', 1000],
+    ['قهوة', 990], ['شاي', 980], ['خبز', 970], ['فلوس', 960], ['مال', 950],
+    ['كتاب', 940], ['قلم', 930], ['باب', 920], ['غرفة', 910], ['مكتب', 900],
+    ['عربي', 890], ['العربية', 880], ['عربية', 870], ['لغة', 860], ['كلمة', 850],
+    ['رسالة', 840], ['سؤال', 830], ['جواب', 820], ['مشكلة', 810], ['حل', 800],
+    ['حب', 790], ['قلب', 780], ['قلبي', 770], ['روحي', 760], ['عين', 750],
+    ['عيني', 740], ['راس', 730], ['يد', 720], ['صحة', 710], ['حياة', 700],
+    ['دنيا', 690], ['عالم', 680], ['خبر', 670], ['أخبار', 660], ['موضوع', 650],
+    ['صورة', 640], ['فيديو', 630], ['تلفون', 620], ['رقم', 610], ['مكان', 600],
+    ['سوق', 590], ['مطعم', 580], ['مستشفى', 570], ['طبيب', 560], ['دكتور', 550],
+    ['معلم', 540], ['طالب', 530], ['درس', 520], ['امتحان', 510], ['صف', 500],
+
+    ['أصدقاء', 498], ['أهل', 497], ['أولاد', 496], ['بنات', 494], ['زوج', 493],
+    ['زوجة', 492], ['جد', 491], ['جدة', 489], ['خال', 487],
+    ['صباحك', 486], ['مساءك', 484], ['نهار', 483], ['ليل', 482], ['صيف', 481],
+    ['شتاء', 479], ['مطر', 478], ['شمس', 477], ['بحر', 476], ['سماء', 474],
+    ['أرض', 473], ['دار', 472], ['شارع', 471], ['مسجد', 469], ['كنيسة', 468],
+    ['عيد', 467], ['رمضان', 466], ['جمعة', 464], ['سبت', 463], ['أحد', 462],
+    ['طعام', 461], ['فطور', 459], ['غداء', 458], ['عشاء', 457], ['لحم', 456],
+    ['دجاج', 454], ['سمك', 453], ['رز', 452], ['فاكهة', 451], ['حليب', 449],
+
+    // --- Common adjectives and adverbs ---
+    ['كبير', 495], ['صغير', 490], ['جديد', 485], ['قديم', 480], ['حلو', 475],
+    ['حلوة', 470], ['جميل', 465], ['جميلة', 460], ['كويس', 455], ['منيح', 450],
+    ['زين', 445], ['مزيان', 440], ['سعيد', 435], ['تعبان', 430], ['مريض', 425],
+    ['سريع', 420], ['بطيء', 415], ['كثير', 410], ['كتير', 405], ['قليل', 400],
+    ['شوي', 395], ['شوية', 390], ['أول', 385], ['آخر', 380], ['ثاني', 375],
+    ['مهم', 370], ['صعب', 365], ['سهل', 360], ['غالي', 355], ['رخيص', 350],
+    ['بعيد', 345], ['قريب', 340], ['صح', 335], ['غلط', 330], ['فاضي', 325],
+
+    // --- Numbers ---
+    ['واحد', 320], ['اثنين', 315], ['ثلاثة', 310], ['أربعة', 305], ['خمسة', 300],
+    ['ستة', 295], ['سبعة', 290], ['ثمانية', 285], ['تسعة', 280], ['عشرة', 275],
+    ['مية', 270], ['ألف', 265],
+
+    // --- Levantine ---
+    ['شو', 260], ['ليش', 258], ['هيك', 256], ['هلق', 254], ['هلأ', 252], ['عم', 250],
+    ['مين', 248], ['وين', 246], ['كمان', 244], ['لسا', 242], ['منشان', 240], ['هاد', 238],
+    ['هاي', 236], ['إيمتى', 234], ['قديش', 232], ['تاع', 230],
+
+    // --- Gulf ---
+    ['شلون', 228], ['شنو', 226], ['وايد', 224], ['الحين', 222], ['أبي', 218],
+    ['وش', 216], ['حق', 214], ['زود', 212], ['يبا', 210], ['عاد', 208], ['هالحين', 206],
+
+    // --- Egyptian ---
+    ['إزاي', 204], ['إيه', 202], ['كده', 200], ['دلوقتي', 198], ['فين', 196], ['إمتى', 194],
+    ['عشان', 192], ['بتاع', 190], ['أوي', 188], ['خالص', 186], ['ماشي', 184], ['برضه', 182],
+
+    // --- Maghrebi ---
+    ['واش', 180], ['كيفاش', 178], ['علاش', 176], ['بزاف', 174], ['دابا', 172], ['بغيت', 170],
+    ['شحال', 168], ['صافي', 162], ['بلاك', 160], ['ديال', 158],
+
+    // --- Names ---
+    ['محمد', 156], ['أحمد', 154], ['علي', 152], ['عمر', 150], ['خالد', 148], ['يوسف', 146],
+    ['مريم', 144], ['فاطمة', 142], ['سارة', 140], ['نور', 138], ['ليلى', 136], ['حسن', 134],
+    ['حسين', 132], ['إبراهيم', 130], ['عبد الله', 128], ['مصطفى', 126], ['سلمى', 124], ['هدى', 122]
+];
+
+export { WORD_FREQUENCIES };
@@ -0,0 +1,121 @@
+// dialect-profiles.js
+// Arabizi dialect profiles.
+// Each profile carries its own digraph and numeral table (plus optional single-letter overrides)
+// that the transliterator places in front of the shared letter rules.
+// Entries use the same format as the rules in transliteration-rules.js.
+
+const COMMON_DIGRAPHS = [
+    { latin: 'sh', arabic: 'ش' }, // Sheen
+    { latin: 'th', arabic: 'ث', alternatives: ['ذ', 'ت'] }, // Thaa (soft 'th' like in 'thin')
+    { latin: 'dh', arabic: 'ذ', alternatives: ['ظ', 'ض'] }, // Dhaal (soft 'th' like in 'this')
+    { latin: 'kh', arabic: 'خ' }, // Khaa
+    { latin: 'gh', arabic: 'غ' }  // Ghain
+];
+
+const COMMON_NUMERALS = [
+    { latin: '2', arabic: 'ء', alternatives: ['أ', 'إ', 'ئ', 'ؤ'] }, // Hamza (glottal stop)
+    { latin: '3', arabic: 'ع' },  // 'Ain (guttural stop)
+    { latin: '5', arabic: 'خ' },  // Kha (guttural 'kh' sound)
+    { latin: '7', arabic: 'ح' }   // Hha (strong 'h' from throat)
+];
+
+const DIALECT_PROFILES = {
+    // The mixed convention the extension has always used.
+    general: {
+        id: 'general',
+        name: 'General (mixed)',
+        digraphs: [
+            ...COMMON_DIGRAPHS,
+            { latin: 'ch', arabic: 'ش' }
+        ],
+        numerals: [
+            ...COMMON_NUMERALS,
+            { latin: '6', arabic: 'ط' },
+            { latin: '8', arabic: 'غ' },
+            { latin: '9', arabic: 'ق' }
+        ]
+    },
+
+    levantine: {
+        id: 'levantine',
+        name: 'Levantine',
+        digraphs: [...COMMON_DIGRAPHS],
+        numerals: [
+            ...COMMON_NUMERALS,
+            { latin: '6', arabic: 'ط' },
+            { latin: '8', arabic: 'غ' },
+            { latin: '9', arabic: 'ص' }  // 9 for Sad
+        ]
+    },
+
+    gulf: {
+        id: 'gulf',
+        name: 'Gulf',
+        digraphs: [
+            ...COMMON_DIGRAPHS,
+            { latin: 'ch', arabic: 'تش' } // 'ch' as in "chai"
+        ],
+        numerals: [
+            ...COMMON_NUMERALS,
+            { latin: '6', arabic: 'ط' },
+            { latin: '8', arabic: 'غ' },
+            { latin: '9', arabic: 'ق' }
+        ],
+        letters: [
+            { latin: 'g', arabic: 'ق' }   // Qaf is pronounced 'g'
+        ]
+    },
+
+    egyptian: {
+        id: 'egyptian',
+        name: 'Egyptian',
+        digraphs: [...COMMON_DIGRAPHS],
+        numerals: [
+            ...COMMON_NUMERALS,
+            { latin: '8', arabic: 'غ' }
+        ],
+        letters: [
+            { latin: 'g', arabic: 'ج' }   // Jeem is pronounced 'g'
+        ]
+    },
+
+    maghrebi: {
+        id: 'maghrebi',
+        name: 'Maghrebi',
+        digraphs: [
+            ...COMMON_DIGRAPHS,
+            { latin: 'ch', arabic: 'ش' }, // French-style 'ch'
+            { latin: 'dj', arabic: 'ج' }  // French-style 'dj'
+        ],
+        numerals: [
+            ...COMMON_NUMERALS,
+            { latin: '9', arabic: 'ق' }
+        ]
+    }
+};
+
+const DEFAULT_PROFILE_ID = 'general';
+
+/**
+ * Get a dialect profile by its id.
+ * @param {string} profileId - The profile id (e.g. 'levantine').
+ * @returns {object|null} - The profile, or null if the id is unknown.
+ */
+function getProfile(profileId) {
+    return Object.prototype.hasOwnProperty.call(DIALECT_PROFILES, profileId)
+        ? DIALECT_PROFILES[profileId]
+        : null;
+}
+
+/**
+ * List the available profiles for display (e.g. in the popup selector).
+ * @returns {Array<{id: string, name: string}>} - The profile ids and display names.
+ */
+function listProfiles() {
+    return Object.values(DIALECT_PROFILES).map(profile => ({
+        id: profile.id,
+        name: profile.name
+    }));
+}
+
+export { DIALECT_PROFILES, DEFAULT_PROFILE_ID, getProfile, listProfiles };
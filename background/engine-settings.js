@@ -0,0 +1,100 @@
+// engine-settings.js
+// Stored options that change how the transliteration engine converts text: the dialect
+// profile (chrome.storage.local), and the custom rules, personal dictionary, punctuation and
+// numeral options (chrome.storage.sync). The service worker and the engine running in pages
+// (content-scripts/local-engine.js) apply them the same way, so both convert alike.
+
+import { NUMERAL_MODES } from './transliteration-rules.js';
+import { DEFAULT_PROFILE_ID } from './dialect-profiles.js';
+
+// Storage keys of the engine options.
+const STORAGE_KEY_PROFILE = 'translit_profile';
+const STORAGE_KEY_CUSTOM_RULES = 'translit_custom_rules';
+const STORAGE_KEY_DICTIONARY = 'translit_dictionary';
+const STORAGE_KEY_ARABIC_PUNCTUATION = 'translit_arabic_punctuation';
+const STORAGE_KEY_NUMERAL_MODE = 'translit_numeral_mode';
+
+// The keys kept in each storage area.
+const ENGINE_STORAGE_KEYS = {
+    local: [STORAGE_KEY_PROFILE],
+    sync: [STORAGE_KEY_CUSTOM_RULES, STORAGE_KEY_DICTIONARY, STORAGE_KEY_ARABIC_PUNCTUATION, STORAGE_KEY_NUMERAL_MODE]
+};
+
+/**
+ * Applies stored engine options to a transliterator. Only the keys present in `values`
+ * change; a missing value (e.g. a removed key) restores the option's default.
+ * @param {ArabicTransliterator} transliterator - The engine to update.
+ * @param {object} values - Storage key → stored value.
+ * @returns {Array<string>} - The keys whose stored value was invalid; their default is used instead.
+ */
+function applyEngineSettings(transliterator, values) {
+    const invalid = [];
+
+    if (STORAGE_KEY_PROFILE in values) {
+        if (!transliterator.setProfile(values[STORAGE_KEY_PROFILE] || DEFAULT_PROFILE_ID)) {
+            invalid.push(STORAGE_KEY_PROFILE);
+            transliterator.setProfile(DEFAULT_PROFILE_ID);
+        }
+    }
+    if (STORAGE_KEY_CUSTOM_RULES in values) {
+        transliterator.setCustomRules(values[STORAGE_KEY_CUSTOM_RULES] || []);
+    }
+    if (STORAGE_KEY_DICTIONARY in values) {
+        transliterator.setDictionary(values[STORAGE_KEY_DICTIONARY] || []);
+    }
+    if (STORAGE_KEY_ARABIC_PUNCTUATION in values) {
+        transliterator.setArabicPunctuation(values[STORAGE_KEY_ARABIC_PUNCTUATION] === true);
+    }
+    if (STORAGE_KEY_NUMERAL_MODE in values) {
+        if (!transliterator.setNumeralMode(values[STORAGE_KEY_NUMERAL_MODE] || NUMERAL_MODES.ARABIZI)) {
+            invalid.push(STORAGE_KEY_NUMERAL_MODE);
+            transliterator.setNumeralMode(NUMERAL_MODES.ARABIZI);
+        }
+    }
+    return invalid;
+}
+
+/**
+ * Reads every engine option from storage.
+ * @param {object} storage - The chrome.storage namespace.
+ * @returns {Promise<object>} - Storage key → stored value, with every key present (undefined when not stored).
+ */
+async function readEngineSettings(storage) {
+    const [local, sync] = await Promise.all([
+        storage.local.get(ENGINE_STORAGE_KEYS.local),
+        storage.sync.get(ENGINE_STORAGE_KEYS.sync)
+    ]);
+    const values = {};
+    ENGINE_STORAGE_KEYS.local.forEach(key => {
+        values[key] = local[key];
+    });
+    ENGINE_STORAGE_KEYS.sync.forEach(key => {
+        values[key] = sync[key];
+    });
+    return values;
+}
+
+/**
+ * Picks the engine options out of a chrome.storage.onChanged event.
+ * @param {object} changes - The changes, as passed to onChanged listeners.
+ * @param {string} areaName - The storage area that changed.
+ * @returns {object} - Storage key → new value, for the engine options that changed (may be empty).
+ */
+function getChangedEngineSettings(changes, areaName) {
+    const values = {};
+    (ENGINE_STORAGE_KEYS[areaName] || []).filter(key => changes[key]).forEach(key => {
+        values[key] = changes[key].newValue;
+    });
+    return values;
+}
+
+export {
+    STORAGE_KEY_PROFILE,
+    STORAGE_KEY_CUSTOM_RULES,
+    STORAGE_KEY_DICTIONARY,
+    STORAGE_KEY_ARABIC_PUNCTUATION,
+    STORAGE_KEY_NUMERAL_MODE,
+    applyEngineSettings,
+    readEngineSettings,
+    getChangedEngineSettings
+};
@@ -0,0 +1,174 @@
+// learning-store.js
+// Remembers which Arabic spelling the user chose for each Latin (Arabizi) word,
+// so those spellings can be ranked first in suggestions and used when words are committed.
+// Data is kept in chrome.storage.local, capped in size with least-recently-used eviction.
+
+// Storage key for the learned choices.
+const STORAGE_KEY_LEARNED = 'translit_learned';
+
+// Default size limits.
+const DEFAULT_MAX_ENTRIES = 2000;     // Latin words remembered
+const MAX_CHOICES_PER_ENTRY = 5;      // Arabic spellings remembered per Latin word
+
+// Delay before pending changes are written to storage.
+const SAVE_DELAY_MS = 1000;
+
+class LearningStore {
+    /**
+     * @param {object} storageArea - A chrome.storage area (e.g. chrome.storage.local).
+     * @param {object} [options]
+     * @param {number} [options.maxEntries] - The maximum number of Latin words remembered.
+     */
+    constructor(storageArea, { maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+        this.storageArea = storageArea;
+        this.maxEntries = maxEntries;
+
+        // Lowercase Latin word → { choices: { arabic: count }, lastUsed: timestamp }
+        this.entries = new Map();
+        this.saveTimer = null;
+    }
+
+    /**
+     * Load the learned choices from storage. Choices recorded while loading are
+     * merged into the stored ones (their counts add up) and stay the most recent.
+     */
+    async load() {
+        const result = await this.storageArea.get(STORAGE_KEY_LEARNED);
+        const stored = result[STORAGE_KEY_LEARNED] || {};
+
+        const entries = new Map();
+        for (const [latin, entry] of Object.entries(stored)) {
+            if (entry && entry.choices) {
+                entries.set(latin, { choices: { ...entry.choices }, lastUsed: entry.lastUsed || 0 });
+            }
+        }
+        for (const [latin, entry] of this.entries) {
+            const storedEntry = entries.get(latin);
+            if (storedEntry) {
+                for (const [arabic, count] of Object.entries(entry.choices)) {
+                    storedEntry.choices[arabic] = (storedEntry.choices[arabic] || 0) + count;
+                }
+                storedEntry.lastUsed = Math.max(storedEntry.lastUsed, entry.lastUsed);
+                entries.delete(latin);
+                entries.set(latin, storedEntry);
+            } else {
+                entries.set(latin, entry);
+            }
+        }
+
+        this.entries = entries;
+        this.evict();
+    }
+
+    /**
+     * Record that the user chose an Arabic spelling for a Latin word.
+     * @param {string} latin - The Latin (Arabizi) word.
+     * @param {string} arabic - The chosen Arabic spelling.
+     */
+    record(latin, arabic) {
+        if (!latin || !arabic) return;
+
+        const key = latin.toLowerCase();
+        const entry = this.entries.get(key) || { choices: {}, lastUsed: 0 };
+        entry.choices[arabic] = (entry.choices[arabic] || 0) + 1;
+        entry.lastUsed = Date.now();
+
+        // Keep only the most chosen spellings for this word.
+        const choices = Object.entries(entry.choices);
+        if (choices.length > MAX_CHOICES_PER_ENTRY) {
+            choices.sort((a, b) => b[1] - a[1]);
+            entry.choices = Object.fromEntries(choices.slice(0, MAX_CHOICES_PER_ENTRY));
+        }
+
+        // Re-insert so the Map stays ordered from least to most recently used.
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.evict();
+        this.scheduleSave();
+    }
+
+    /**
+     * Drop the least recently used words once the size cap is exceeded.
+     */
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+        }
+    }
+
+    /**
+     * Get the learned spellings for a Latin word, most chosen first.
+     * @param {string} latin - The Latin (Arabizi) word.
+     * @returns {Array<{arabic: string, count: number}>} - The learned spellings.
+     */
+    getChoices(latin) {
+        const entry = latin ? this.entries.get(latin.toLowerCase()) : null;
+        if (!entry) return [];
+
+        return Object.entries(entry.choices)
+            .map(([arabic, count]) => ({ arabic, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Get the spelling the user chose most often for a Latin word.
+     * @param {string} latin - The Latin (Arabizi) word.
+     * @returns {string|null} - The preferred Arabic spelling, or null if nothing was learned.
+     */
+    getPreferred(latin) {
+        const [best] = this.getChoices(latin);
+        return best ? best.arabic : null;
+    }
+
+    /**
+     * List everything learned, most recently used first (for the options page).
+     * @returns {Array<{latin: string, choices: Array<{arabic: string, count: number}>, lastUsed: number}>}
+     */
+    getEntries() {
+        return [...this.entries.entries()]
+            .reverse()
+            .map(([latin, entry]) => ({ latin, choices: this.getChoices(latin), lastUsed: entry.lastUsed }));
+    }
+
+    /**
+     * Serialize the learned choices to a plain object (stored format, also used for export).
+     * @returns {object} - Lowercase Latin word → { choices, lastUsed }.
+     */
+    toJSON() {
+        return Object.fromEntries(this.entries);
+    }
+
+    /**
+     * Forget everything that was learned.
+     */
+    async clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.entries = new Map();
+        await this.storageArea.remove(STORAGE_KEY_LEARNED);
+    }
+
+    /**
+     * Write pending changes after a short delay, batching consecutive records.
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => {
+                console.error('[LearningStore] Error saving learned choices:', error);
+            });
+        }, SAVE_DELAY_MS);
+    }
+
+    /**
+     * Write the learned choices to storage now.
+     */
+    async save() {
+        await this.storageArea.set({ [STORAGE_KEY_LEARNED]: this.toJSON() });
+    }
+}
+
+export { LearningStore };
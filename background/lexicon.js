@@ -0,0 +1,200 @@
+// lexicon.js
+// Offline Arabic lexicon built from the bundled word frequency list.
+// Answers "is this a known word?", "how common is it?" and "which known word is
+// closest to this spelling?", independently of the transliteration rules.
+
+// Letters that Arabizi spellings commonly confuse. Substituting one for another
+// within a group costs less than an unrelated substitution.
+const CONFUSABLE_GROUPS = [
+    ['ا', 'أ', 'إ', 'آ', 'ء'],
+    ['ء', 'ؤ', 'ئ'],
+    ['ه', 'ة', 'ح'],
+    ['ت', 'ط', 'ة'],
+    ['ي', 'ى', 'ئ'],
+    ['ا', 'ى', 'ة'],
+    ['و', 'ؤ'],
+    ['س', 'ص'],
+    ['د', 'ض'],
+    ['ز', 'ظ', 'ذ'],
+    ['ث', 'ذ', 'ت'],
+    ['ك', 'ق']
+];
+
+// Letters that are often added or left out (long vowels, hamza, Ta Marbuta).
+const WEAK_LETTERS = new Set(['ا', 'و', 'ي', 'ى', 'ة', 'ء']);
+
+// Edit costs.
+const CONFUSABLE_COST = 0.5;
+const WEAK_LETTER_COST = 0.5;
+const DEFAULT_COST = 1;
+
+class Lexicon {
+    /**
+     * @param {Array<[string, number]>} wordFrequencies - Known Arabic words with their frequencies.
+     */
+    constructor(wordFrequencies = []) {
+        this.frequencies = new Map();
+        this.prefixes = new Set();
+
+        // Letter → indexes of the confusable groups it belongs to.
+        this.confusableIndex = new Map();
+        CONFUSABLE_GROUPS.forEach((group, groupIndex) => {
+            for (const letter of group) {
+                if (!this.confusableIndex.has(letter)) {
+                    this.confusableIndex.set(letter, new Set());
+                }
+                this.confusableIndex.get(letter).add(groupIndex);
+            }
+        });
+
+        for (const [word, frequency] of wordFrequencies) {
+            this.addWord(word, frequency);
+        }
+    }
+
+    /**
+     * Add a word, keeping the highest frequency if it is already known.
+     * @param {string} word - The Arabic word.
+     * @param {number} frequency - Its frequency.
+     */
+    addWord(word, frequency) {
+        if (!word) return;
+
+        this.frequencies.set(word, Math.max(frequency, this.frequencies.get(word) || 0));
+        for (let length = 1; length <= word.length; length++) {
+            this.prefixes.add(word.slice(0, length));
+        }
+    }
+
+    /**
+     * Number of known words.
+     * @returns {number} - The lexicon size.
+     */
+    get size() {
+        return this.frequencies.size;
+    }
+
+    /**
+     * Check if a word is known.
+     * @param {string} word - The Arabic word.
+     * @returns {boolean} - True if the word is in the lexicon.
+     */
+    has(word) {
+        return this.frequencies.has(word);
+    }
+
+    /**
+     * Get the frequency of a word.
+     * @param {string} word - The Arabic word.
+     * @returns {number} - Its frequency, or 0 if the word is unknown.
+     */
+    getFrequency(word) {
+        return this.frequencies.get(word) || 0;
+    }
+
+    /**
+     * Check if some known word starts with the given text.
+     * @param {string} prefix - The partial Arabic spelling.
+     * @returns {boolean} - True if the prefix (or the empty string) can still become a known word.
+     */
+    hasPrefix(prefix) {
+        return prefix === '' || this.prefixes.has(prefix);
+    }
+
+    /**
+     * Cost of replacing one letter with another.
+     * @param {string} a - The original letter.
+     * @param {string} b - The replacement letter.
+     * @returns {number} - 0 for the same letter, less for confusable letters.
+     */
+    substitutionCost(a, b) {
+        if (a === b) return 0;
+
+        const groupsA = this.confusableIndex.get(a);
+        const groupsB = this.confusableIndex.get(b);
+        if (groupsA && groupsB && [...groupsA].some(group => groupsB.has(group))) {
+            return CONFUSABLE_COST;
+        }
+        return DEFAULT_COST;
+    }
+
+    /**
+     * Cost of adding or removing a letter.
+     * @param {string} letter - The letter.
+     * @returns {number} - Less for long vowels, hamza and Ta Marbuta.
+     */
+    insertionCost(letter) {
+        return WEAK_LETTERS.has(letter) ? WEAK_LETTER_COST : DEFAULT_COST;
+    }
+
+    /**
+     * Weighted edit distance between two Arabic spellings.
+     * @param {string} source - The first spelling.
+     * @param {string} target - The second spelling.
+     * @returns {number} - The distance; 0 for identical spellings.
+     */
+    distance(source, target) {
+        const a = Array.from(source);
+        const b = Array.from(target);
+
+        let previous = [0];
+        for (let j = 1; j <= b.length; j++) {
+            previous[j] = previous[j - 1] + this.insertionCost(b[j - 1]);
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [previous[0] + this.insertionCost(a[i - 1])];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + this.insertionCost(a[i - 1]),
+                    current[j - 1] + this.insertionCost(b[j - 1]),
+                    previous[j - 1] + this.substitutionCost(a[i - 1], b[j - 1])
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Find the known word closest to a spelling.
+     * The smallest distance wins; ties go to the more frequent word.
+     *
+     * @param {string} text - The Arabic spelling to correct.
+     * @param {number} maxDistance - The largest distance accepted.
+     * @param {Array<string>} [spellings] - Only consider these spellings (e.g. the ones the rules can
+     *        produce for the typed word), instead of every known word.
+     * @returns {{word: string, distance: number, frequency: number}|null} - The best match, or null.
+     */
+    findNearest(text, maxDistance, spellings = null) {
+        if (!text) return null;
+        if (this.has(text)) {
+            return { word: text, distance: 0, frequency: this.getFrequency(text) };
+        }
+
+        const length = Array.from(text).length;
+        // Every added or removed letter costs at least WEAK_LETTER_COST.
+        const maxLengthDifference = Math.floor(maxDistance / WEAK_LETTER_COST);
+
+        const words = spellings ?
+            spellings.filter(word => this.has(word)).map(word => [word, this.getFrequency(word)]) :
+            this.frequencies;
+
+        let best = null;
+        for (const [word, frequency] of words) {
+            if (Math.abs(Array.from(word).length - length) > maxLengthDifference) continue;
+
+            const distance = this.distance(text, word);
+            if (distance > maxDistance) continue;
+
+            if (!best || distance < best.distance ||
+                (distance === best.distance && frequency > best.frequency)) {
+                best = { word, distance, frequency };
+            }
+        }
+        return best;
+    }
+}
+
+export { Lexicon };
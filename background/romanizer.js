@@ -0,0 +1,254 @@
+// romanizer.js
+// Reverse transliteration: Arabic script to Latin.
+// Three output schemes are available: Arabizi (the chat alphabet the extension reads),
+// ALA-LC (Library of Congress) and DIN 31635.
+// Arabic script usually leaves short vowels unwritten, so they only appear in the output when
+// the text carries harakat (fatha, kasra, damma, ...); long vowels, hamza and ta marbuta are
+// always romanized. Unvowelled text therefore gives consonant skeletons (مرحبا → 'mr7ba'), and
+// Arabizi output only types back to the same Arabic when the text was vowelled: 'madrasah' gives
+// مدرسة again, but the skeleton 'mdrsah' of مدرسة gives مدرسه.
+
+// Romanization schemes.
+const ROMANIZATION_SCHEMES = {
+    ARABIZI: 'arabizi',
+    ALA_LC: 'ala-lc',
+    DIN_31635: 'din-31635'
+};
+
+// Consonants shared by the scientific schemes; each scheme overrides the letters it spells differently.
+const SCIENTIFIC_LETTERS = {
+    'ب': 'b', 'ت': 't', 'ث': 'th', 'ج': 'j', 'ح': 'ḥ', 'خ': 'kh', 'د': 'd', 'ذ': 'dh',
+    'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 'ṣ', 'ض': 'ḍ', 'ط': 'ṭ', 'ظ': 'ẓ',
+    'ع': 'ʻ', 'غ': 'gh', 'ف': 'f', 'ق': 'q', 'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n',
+    'ه': 'h', 'و': 'w', 'ي': 'y', 'پ': 'p', 'چ': 'ch', 'ڤ': 'v', 'گ': 'g'
+};
+
+// Output tables, one per scheme.
+// `long` holds the long vowels inside a word and `final` at its end; `harakat` the vowel signs.
+// `allah` is the fixed spelling of the word الله, which is not read as the article and a root.
+const SCHEMES = {
+    [ROMANIZATION_SCHEMES.ARABIZI]: {
+        name: 'Arabizi (3arabi)',
+        letters: {
+            ...SCIENTIFIC_LETTERS,
+            'ح': '7', 'ص': 'S', 'ض': 'D', 'ط': 'T', 'ظ': 'Z', 'ع': '3'
+        },
+        hamza: '2',
+        initial: { 'أ': 'a', 'إ': 'e', 'آ': 'aa' },
+        long: { 'ا': 'aa', 'و': 'oo', 'ي': 'ee' },
+        final: { 'ا': 'a', 'و': 'u', 'ي': 'i' },
+        alifMaqsura: 'a',
+        taMarbuta: 'ah',
+        allah: 'allah',
+        article: 'al',
+        assimilateArticle: false,
+        harakat: { 'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٍ': 'in', 'ٌ': 'un', 'ْ': '', 'ٰ': 'a' }
+    },
+    [ROMANIZATION_SCHEMES.ALA_LC]: {
+        name: 'ALA-LC',
+        letters: SCIENTIFIC_LETTERS,
+        hamza: 'ʼ',
+        initial: { 'أ': 'a', 'إ': 'i', 'آ': 'ā' },
+        long: { 'ا': 'ā', 'و': 'ū', 'ي': 'ī' },
+        final: { 'ا': 'ā', 'و': 'ū', 'ي': 'ī' },
+        alifMaqsura: 'á',
+        taMarbuta: 'ah',
+        allah: 'Allāh',
+        article: 'al-',
+        assimilateArticle: false,
+        harakat: { 'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٍ': 'in', 'ٌ': 'un', 'ْ': '', 'ٰ': 'ā' }
+    },
+    [ROMANIZATION_SCHEMES.DIN_31635]: {
+        name: 'DIN 31635',
+        letters: {
+            ...SCIENTIFIC_LETTERS,
+            'ث': 'ṯ', 'ج': 'ǧ', 'خ': 'ḫ', 'ذ': 'ḏ', 'ش': 'š', 'ع': 'ʿ', 'غ': 'ġ', 'چ': 'č'
+        },
+        hamza: 'ʾ',
+        initial: { 'أ': 'a', 'إ': 'i', 'آ': 'ā' },
+        long: { 'ا': 'ā', 'و': 'ū', 'ي': 'ī' },
+        final: { 'ا': 'ā', 'و': 'ū', 'ي': 'ī' },
+        alifMaqsura: 'ā',
+        taMarbuta: 'a',
+        allah: 'Allāh',
+        article: 'al-',
+        assimilateArticle: true,
+        harakat: { 'َ': 'a', 'ِ': 'i', 'ُ': 'u', 'ً': 'an', 'ٍ': 'in', 'ٌ': 'un', 'ْ': '', 'ٰ': 'ā' }
+    }
+};
+
+// Hamza on its own or on a waw/ya seat.
+const HAMZA_LETTERS = new Set(['ء', 'ؤ', 'ئ']);
+
+// Letters the article's lam assimilates to (DIN 31635 writes 'aš-šams', not 'al-šams').
+const SUN_LETTERS = new Set(['ت', 'ث', 'د', 'ذ', 'ر', 'ز', 'س', 'ش', 'ص', 'ض', 'ط', 'ظ', 'ل', 'ن']);
+
+// Letters that are vowels in some positions.
+const VOWEL_LETTERS = new Set(['ا', 'و', 'ي']);
+
+const SHADDA = 'ّ';
+const SUKUN = 'ْ';
+const FATHATAN = 'ً';
+const TATWEEL = 'ـ';
+const ALLAH = 'الله';
+
+// Short vowel sign each long vowel letter lengthens ('كِتَاب' is 'kitāb', not 'kitaāb').
+const LENGTHENED_HARAKAT = { 'ا': 'َ', 'ى': 'َ', 'و': 'ُ', 'ي': 'ِ' };
+
+// A word of Arabic letters and harakat.
+const ARABIC_WORD = /[\u0621-\u063A\u0641-\u0652\u0670\u0671\u067E\u0686\u06A4\u06AF]+/g;
+
+// Arabic punctuation and Eastern Arabic digits, written with their Latin equivalents.
+const PUNCTUATION = {
+    '،': ',', '؟': '?', '؛': ';', '«': '"', '»': '"',
+    '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4', '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9'
+};
+
+class ArabicRomanizer {
+    /**
+     * Lists the available schemes, for display.
+     * @returns {Array<{id: string, name: string}>} - The schemes.
+     */
+    listSchemes() {
+        return Object.entries(SCHEMES).map(([id, scheme]) => ({ id, name: scheme.name }));
+    }
+
+    /**
+     * Romanizes Arabic text. Latin text, spaces and symbols are kept; Arabic punctuation
+     * and digits become their Latin equivalents.
+     * @param {string} input - The Arabic text.
+     * @param {string} [schemeId] - A ROMANIZATION_SCHEMES value.
+     * @returns {string|null} - The romanized text, or null for an unknown scheme.
+     */
+    romanize(input, schemeId = ROMANIZATION_SCHEMES.ARABIZI) {
+        const scheme = SCHEMES[schemeId];
+        if (!scheme) {
+            return null;
+        }
+        if (!input) {
+            return '';
+        }
+
+        return input
+            .replaceAll(TATWEEL, '')
+            .replace(ARABIC_WORD, word => this.romanizeWord(word, scheme))
+            .replace(/[،؟؛«»٠-٩]/g, character => PUNCTUATION[character]);
+    }
+
+    /**
+     * Romanizes a single Arabic word.
+     * @param {string} word - Arabic letters and harakat.
+     * @param {object} scheme - An entry of SCHEMES.
+     * @returns {string} - The romanized word.
+     */
+    romanizeWord(word, scheme) {
+        const characters = Array.from(word.replaceAll('ٱ', 'ا'));
+        if (characters.filter(character => !(character in scheme.harakat) && character !== SHADDA).join('') === ALLAH) {
+            return scheme.allah;
+        }
+        const isLetter = character => character && !(character in scheme.harakat) && character !== SHADDA;
+        const lastLetterIndex = characters.findLastIndex(isLetter);
+
+        let output = '';
+        let start = 0;
+        // The article, when something follows it.
+        if (characters[0] === 'ا' && characters[1] === 'ل' && lastLetterIndex > 2) {
+            const next = characters[2];
+            output = scheme.assimilateArticle && SUN_LETTERS.has(next) ?
+                'a' + scheme.letters[next] + '-' : scheme.article;
+            start = 2;
+        }
+
+        // The last consonant, its position and where it ends in the output, for shadda (which may follow a vowel sign).
+        let lastConsonant = '';
+        let consonantEnd = 0;
+        let consonantIndex = -1;
+
+        // Long vowels replace the vowel sign they lengthen.
+        let i;
+        const addVowel = (character, text) => {
+            if (characters[i - 1] === LENGTHENED_HARAKAT[character]) {
+                output = output.slice(0, -scheme.harakat[characters[i - 1]].length);
+            }
+            output += text;
+        };
+
+        for (i = start; i < characters.length; i++) {
+            const character = characters[i];
+            const isFinal = i === lastLetterIndex;
+            const isWordStart = i === start && start === 0;
+
+            if (character === SHADDA) {
+                // The consonant is doubled, except a sun letter after the article, which the article already spells.
+                if (start > 0 && consonantIndex === start) {
+                    continue;
+                }
+                output = output.slice(0, consonantEnd) + lastConsonant + output.slice(consonantEnd);
+                consonantEnd += lastConsonant.length;
+            } else if (character in scheme.harakat) {
+                output += scheme.harakat[character];
+            } else if (character in scheme.initial) {
+                // Inside a word, أ إ آ carry a hamza. A vowel sign written on أ or إ gives the vowel.
+                const isVowelled = character !== 'آ' && characters[i + 1] in scheme.harakat;
+                output += (isWordStart ? '' : scheme.hamza) + (isVowelled ? '' : scheme.initial[character]);
+                lastConsonant = '';
+            } else if (HAMZA_LETTERS.has(character)) {
+                output += scheme.hamza;
+                lastConsonant = scheme.hamza;
+                consonantEnd = output.length;
+                consonantIndex = i;
+            } else if (character === 'ة') {
+                // A fatha written before it is already part of the ending.
+                output += output.endsWith('a') ? scheme.taMarbuta.replace(/^a/, '') : scheme.taMarbuta;
+            } else if (character === 'ى') {
+                addVowel(character, scheme.alifMaqsura);
+            } else if (character === 'ا') {
+                // After tanween fath the alif is only its seat.
+                if (characters[i - 1] !== FATHATAN) {
+                    addVowel(character, isWordStart ? 'a' : (isFinal ? scheme.final : scheme.long)[character]);
+                }
+            } else if ((character === 'و' || character === 'ي') && this.isLongVowel(characters, i, start, scheme)) {
+                addVowel(character, (isFinal ? scheme.final : scheme.long)[character]);
+                lastConsonant = '';
+            } else if (character in scheme.letters) {
+                lastConsonant = scheme.letters[character];
+                output += lastConsonant;
+                consonantEnd = output.length;
+                consonantIndex = i;
+            } else {
+                output += character;
+                lastConsonant = '';
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Decides whether a waw or ya is a long vowel ('ū', 'ī') rather than a consonant ('w', 'y').
+     * It is a vowel after a damma (waw) or kasra (ya), or after a consonant when no vowel sign
+     * or vowel letter follows it; at the start of a word, after a vowel and before one, it is a consonant.
+     * @param {Array<string>} characters - The characters of the word.
+     * @param {number} index - Position of the waw or ya.
+     * @param {number} start - Position of the first letter after the article.
+     * @param {object} scheme - An entry of SCHEMES.
+     * @returns {boolean} - True for a long vowel.
+     */
+    isLongVowel(characters, index, start, scheme) {
+        if (index === start) {
+            return false;
+        }
+        const character = characters[index];
+        const previous = characters[index - 1];
+        const next = characters[index + 1];
+
+        if (previous === (character === 'و' ? 'ُ' : 'ِ')) {
+            return true;
+        }
+        if (previous in scheme.harakat || VOWEL_LETTERS.has(previous) || previous === SHADDA) {
+            return false;
+        }
+        return !(next in scheme.harakat && next !== SUKUN) && next !== SHADDA && !VOWEL_LETTERS.has(next);
+    }
+}
+
+export { ArabicRomanizer, ROMANIZATION_SCHEMES };
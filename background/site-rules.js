@@ -0,0 +1,153 @@
+// site-rules.js
+// Per-site rules deciding where transliteration runs.
+// In 'blocklist' mode it runs everywhere except the blocked sites; in 'allowlist' mode
+// only on the allowed sites. A site pattern is either a domain ('example.com', which also
+// matches its subdomains), a host wildcard ('*.bank.com') or a URL wildcard
+// ('https://github.com/*/issues/*'). Domains and host wildcards match any port unless
+// they name one ('localhost:3000'), and a leading 'www.' is ignored on domains. The rules
+// also carry CSS selectors of fields that are never transliterated (checked by the content script).
+
+// Site rule modes.
+const SITE_MODES = {
+    BLOCKLIST: 'blocklist',
+    ALLOWLIST: 'allowlist'
+};
+
+// Rules used until the user saves their own.
+const DEFAULT_SITE_RULES = {
+    mode: SITE_MODES.BLOCKLIST,
+    blocked: [],
+    allowed: [],
+    fieldSelectors: []
+};
+
+/**
+ * Fill in missing or invalid properties of stored site rules.
+ * @param {object} [stored] - The rules read from storage.
+ * @returns {{mode: string, blocked: Array<string>, allowed: Array<string>, fieldSelectors: Array<string>}} - Complete rules.
+ */
+function normalizeSiteRules(stored) {
+    const rules = stored || {};
+    return {
+        mode: Object.values(SITE_MODES).includes(rules.mode) ? rules.mode : DEFAULT_SITE_RULES.mode,
+        blocked: Array.isArray(rules.blocked) ? rules.blocked : [],
+        allowed: Array.isArray(rules.allowed) ? rules.allowed : [],
+        fieldSelectors: Array.isArray(rules.fieldSelectors) ? rules.fieldSelectors : []
+    };
+}
+
+/**
+ * Convert a wildcard pattern ('*' matches anything) to an anchored regular expression.
+ * @param {string} pattern - The wildcard pattern.
+ * @returns {RegExp} - The case-insensitive regular expression.
+ */
+function wildcardToRegExp(pattern) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check if a URL matches a site pattern.
+ * @param {string} url - The page URL.
+ * @param {string} pattern - A domain, host wildcard or URL wildcard.
+ * @returns {boolean} - True if the URL matches.
+ */
+function matchesSitePattern(url, pattern) {
+    if (!url || !pattern) return false;
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return false;
+    }
+
+    const trimmed = pattern.trim().toLowerCase();
+    if (trimmed.includes('/')) {
+        return wildcardToRegExp(trimmed).test(url);
+    }
+    // A pattern with a port is matched against the host with its port
+    const host = (trimmed.includes(':') ? parsed.host : parsed.hostname).toLowerCase();
+    if (trimmed.includes('*')) {
+        return wildcardToRegExp(trimmed).test(host);
+    }
+    const site = host.replace(/^www\./, '');
+    const domain = trimmed.replace(/^www\./, '');
+    return site === domain || site.endsWith('.' + domain);
+}
+
+/**
+ * Check if transliteration may run on a page.
+ * @param {string} url - The page URL.
+ * @param {object} rules - The site rules (see normalizeSiteRules).
+ * @returns {boolean} - True if the site rules allow the page.
+ */
+function isSiteEnabled(url, rules) {
+    if (rules.mode === SITE_MODES.ALLOWLIST) {
+        return rules.allowed.some(pattern => matchesSitePattern(url, pattern));
+    }
+    return !rules.blocked.some(pattern => matchesSitePattern(url, pattern));
+}
+
+/**
+ * Check if transliteration runs on a page whose tab is switched on or off. A site the
+ * rules turn off stays off even in a tab that is switched on.
+ * @param {boolean} isSwitchedOn - The on/off state of the tab (or the global state).
+ * @param {string} [url] - The page URL; without it only the on/off state counts.
+ * @param {object} rules - The site rules (see normalizeSiteRules).
+ * @returns {boolean} - True if transliteration runs on the page.
+ */
+function isPageEnabled(isSwitchedOn, url, rules) {
+    return isSwitchedOn && (!url || isSiteEnabled(url, rules));
+}
+
+/**
+ * Get the site a URL belongs to, as shown in the popup and added to the lists.
+ * @param {string} url - The page URL.
+ * @returns {string|null} - The hostname, or null for URLs without one.
+ */
+function getSiteKey(url) {
+    try {
+        return new URL(url).hostname.toLowerCase() || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Enable or disable transliteration for the site of a URL.
+ * Adds the site's hostname to the active list, or removes every pattern of that list matching the URL.
+ * @param {object} rules - The current site rules.
+ * @param {string} url - The page URL.
+ * @param {boolean} enabled - True to enable transliteration on the site.
+ * @returns {object} - The updated site rules (the input is not modified).
+ */
+function setSiteEnabled(rules, url, enabled) {
+    const site = getSiteKey(url);
+    const updated = normalizeSiteRules(rules);
+    if (!site) return updated;
+
+    // In blocklist mode the blocked list is edited, in allowlist mode the allowed list.
+    const listName = updated.mode === SITE_MODES.ALLOWLIST ? 'allowed' : 'blocked';
+    const add = updated.mode === SITE_MODES.ALLOWLIST ? enabled : !enabled;
+
+    if (add) {
+        if (!updated[listName].some(pattern => matchesSitePattern(url, pattern))) {
+            updated[listName] = [...updated[listName], site];
+        }
+    } else {
+        updated[listName] = updated[listName].filter(pattern => !matchesSitePattern(url, pattern));
+    }
+    return updated;
+}
+
+export {
+    SITE_MODES,
+    DEFAULT_SITE_RULES,
+    normalizeSiteRules,
+    matchesSitePattern,
+    isSiteEnabled,
+    isPageEnabled,
+    getSiteKey,
+    setSiteEnabled
+};
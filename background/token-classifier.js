@@ -0,0 +1,88 @@
+// token-classifier.js
+// Decides which parts of mixed Arabic/English text are Arabizi and should be transliterated.
+// English words, URLs, email addresses, @mentions, code in backticks and escaped words
+// are classified separately so the transliterator can leave them in Latin.
+
+// Token types reported by the classifier.
+const TOKEN_TYPES = {
+    ARABIZI: 'arabizi',     // Transliterated to Arabic
+    ENGLISH: 'english',     // Word from the bundled English word list
+    URL: 'url',             // https://…, www.…, example.com
+    EMAIL: 'email',         // name@example.com
+    MENTION: 'mention',     // @username
+    CODE: 'code',           // `wrapped in backticks`
+    ESCAPED: 'escaped',     // \word, forced to stay Latin (the backslash is removed)
+    OTHER: 'other'          // No Latin letters or digits (e.g. text that is already Arabic)
+};
+
+// Prefix that keeps the following word in Latin, e.g. "\salam" → "salam".
+const ESCAPE_PREFIX = '\\';
+
+// Spans of text that are never transliterated. When two spans overlap, the one that
+// starts first wins, then the one listed first. The patterns also match partly typed
+// forms (an unclosed backtick, "https:", "name@"), so words typed inside them stay Latin.
+const PROTECTED_PATTERNS = [
+    { type: TOKEN_TYPES.CODE, pattern: /`[^`]*(?:`|$)/g },
+    { type: TOKEN_TYPES.URL, pattern: /\b(?:[a-z][a-z0-9+.-]*:\/\/|https?:|www\.)\S*/gi },
+    { type: TOKEN_TYPES.EMAIL, pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]*/g },
+    { type: TOKEN_TYPES.MENTION, pattern: /(?<![A-Za-z0-9_@])@[A-Za-z0-9_]*/g },
+    { type: TOKEN_TYPES.URL, pattern: /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|dev|app|edu|gov|info|co|me)\b(?:\/\S*)?/gi },
+    { type: TOKEN_TYPES.ESCAPED, pattern: /\\[A-Za-z0-9]+/g }
+];
+
+// A word that can be transliterated contains at least one Latin letter or digit.
+const LATIN_CHARACTER = /[A-Za-z0-9]/;
+
+// Arabizi digits (2, 3, 7, …) never appear in English words.
+const DIGIT = /[0-9]/;
+
+class TokenClassifier {
+    /**
+     * @param {Array<string>} englishWords - Words that are left in Latin when typed on their own.
+     */
+    constructor(englishWords = []) {
+        this.englishWords = new Set(englishWords.map(word => word.toLowerCase()));
+    }
+
+    /**
+     * Find the spans of text that must stay in Latin (URLs, emails, mentions, code, escaped words).
+     * @param {string} text - The text to scan.
+     * @returns {Array<{start: number, end: number, type: string}>} - Non-overlapping spans, in text order.
+     */
+    findProtectedSpans(text) {
+        if (!text) return [];
+
+        const matches = [];
+        PROTECTED_PATTERNS.forEach(({ type, pattern }, priority) => {
+            for (const match of text.matchAll(pattern)) {
+                if (match[0]) {
+                    matches.push({ start: match.index, end: match.index + match[0].length, type, priority });
+                }
+            }
+        });
+        matches.sort((a, b) => a.start - b.start || a.priority - b.priority);
+
+        const spans = [];
+        let lastEnd = 0;
+        for (const { start, end, type } of matches) {
+            if (start >= lastEnd) {
+                spans.push({ start, end, type });
+                lastEnd = end;
+            }
+        }
+        return spans;
+    }
+
+    /**
+     * Classify a single word (without separators) that is not part of a protected span.
+     * @param {string} word - The word.
+     * @returns {string} - TOKEN_TYPES.ARABIZI, ENGLISH or OTHER.
+     */
+    classifyWord(word) {
+        if (!LATIN_CHARACTER.test(word)) return TOKEN_TYPES.OTHER;
+        if (!DIGIT.test(word) && this.englishWords.has(word.toLowerCase())) return TOKEN_TYPES.ENGLISH;
+        return TOKEN_TYPES.ARABIZI;
+    }
+}
+
+export { TokenClassifier, TOKEN_TYPES, ESCAPE_PREFIX };
@@ -1,106 +1,646 @@
 // transliteration-rules.js
 // Arabic Transliteration Rules based on Arabizi conventions
 
+import { DEFAULT_PROFILE_ID, getProfile } from './dialect-profiles.js';
+import { TOKEN_TYPES, ESCAPE_PREFIX } from './token-classifier.js';
+
+// Letter rules shared by every dialect profile.
+// Each entry maps a Latin sequence to its Arabic output, plus optional `alternatives` that are
+// offered as candidate spellings (e.g. 't' can also be ة or ط). The tokenizer always picks the
+// longest sequence that matches at the current position, so the order of entries does
+// not matter. Lowercase keys also match their uppercase spelling unless an uppercase key
+// of its own exists (e.g. 'S' → ص overrides 's' → س, but 'B' still gives ب).
+// Digraphs and numerals come from the active dialect profile (see dialect-profiles.js).
+const BASE_RULES = [
+    // --- 1. Emphatic consonants (capital letters) ---
+    { latin: 'S', arabic: 'ص', alternatives: ['س'] },   // Sad (emphatic 's')
+    { latin: 'D', arabic: 'ض', alternatives: ['د'] },   // Dad (emphatic 'd')
+    { latin: 'T', arabic: 'ط', alternatives: ['ت'] },   // Ta (emphatic 't')
+    { latin: 'Z', arabic: 'ظ', alternatives: ['ز'] },   // Zha (emphatic 'z')
+    { latin: 'H', arabic: 'ح', alternatives: ['ه'] },   // Hha (strong 'h', same as '7')
+    { latin: 'O', arabic: 'ؤ' },   // Waw with hamza (shift+o)
+    { latin: 'Y', arabic: 'ئ' },   // Ya with hamza (shift+y)
+
+    // --- 2. Standard single letters ---
+    { latin: 'b', arabic: 'ب' },   // Ba
+    { latin: 't', arabic: 'ت', alternatives: ['ة', 'ط'] },   // Ta
+    { latin: 'j', arabic: 'ج' },   // Jeem
+    { latin: 'd', arabic: 'د', alternatives: ['ض'] },   // Dal
+    { latin: 'r', arabic: 'ر' },   // Ra
+    { latin: 'z', arabic: 'ز', alternatives: ['ظ', 'ذ'] },   // Zay
+    { latin: 's', arabic: 'س', alternatives: ['ص'] },   // Seen
+    { latin: 'f', arabic: 'ف' },   // Fa
+    { latin: 'q', arabic: 'ق' },   // Qaf
+    { latin: 'k', arabic: 'ك', alternatives: ['ق'] },   // Kaf
+    { latin: 'l', arabic: 'ل' },   // Lam
+    { latin: 'm', arabic: 'م' },   // Meem
+    { latin: 'n', arabic: 'ن' },   // Noon
+    { latin: 'h', arabic: 'ه', alternatives: ['ح', 'ة'] },   // Ha (soft 'h')
+    { latin: 'w', arabic: 'و' },   // Waw (consonant or long 'oo' sound)
+    { latin: 'y', arabic: 'ي', alternatives: ['ى'] },   // Ya (consonant or long 'ee' sound)
+    { latin: 'p', arabic: 'ب' },   // 'P' doesn't exist in Arabic, commonly mapped to 'B'
+    { latin: 'v', arabic: 'ف' },   // 'V' doesn't exist in Arabic, commonly mapped to 'F'
+
+    // --- 3. Vowel mappings ---
+    // The output of vowels depends on their position in the word (see resolveVowels).
+    // Doubled vowels and diphthongs are long vowels and are always written.
+    { latin: 'aa', arabic: 'ا', vowel: 'long' },  // Long 'a' (Alif)
+    { latin: 'ee', arabic: 'ي', vowel: 'long' },  // Long 'ee' (Ya)
+    { latin: 'ii', arabic: 'ي', vowel: 'long' },  // Long 'ee' (Ya)
+    { latin: 'ei', arabic: 'ي', vowel: 'long' },  // 'ei' diphthong (Ya)
+    { latin: 'ai', arabic: 'ي', vowel: 'long' },  // 'ai' diphthong (Ya)
+    { latin: 'oo', arabic: 'و', vowel: 'long' },  // Long 'oo' (Waw)
+    { latin: 'uu', arabic: 'و', vowel: 'long' },  // Long 'oo' (Waw)
+    { latin: 'ou', arabic: 'و', vowel: 'long' },  // French-style 'ou' (Waw)
+
+    // Single vowels are short: written at the start and end of a word, dropped inside it.
+    { latin: 'a', arabic: 'ا', vowel: 'short' },  // 'A' sound maps to Alif
+    { latin: 'e', arabic: 'ي', vowel: 'short' },  // 'E' sound often maps to Ya
+    { latin: 'i', arabic: 'ي', vowel: 'short' },  // 'I' sound often maps to Ya
+    { latin: 'o', arabic: 'و', vowel: 'short' },  // 'O' sound often maps to Waw
+    { latin: 'u', arabic: 'و', vowel: 'short' }   // 'U' sound often maps to Waw
+];
+
+// Written (long) form of each short vowel, offered as an alternative where it is dropped.
+const LONG_VOWEL_FORMS = { a: 'ا', e: 'ي', i: 'ي', o: 'و', u: 'و' };
+
+// Spelling of vowels at the start of a word: a seat for the hamza (أ or إ) is added.
+const INITIAL_VOWEL_FORMS = {
+    a: 'أ', e: 'إ', i: 'إ', o: 'أ', u: 'أ',
+    aa: 'آ', ee: 'إي', ii: 'إي', ei: 'إي', ai: 'أي', oo: 'أو', uu: 'أو', ou: 'أو'
+};
+
+// Common words whose final 'a' is written with Alif Maqsura (ى) instead of Alif.
+const ALIF_MAQSURA_WORDS = new Set([
+    '3ala', 'ala', 'ila', 'ela', 'hatta', '7atta', 'mata', 'ma3na', 'mosta', 'musa', 'mousa',
+    'layla', 'leila', 'fos7a', 'fus7a', '3isa', 'yahya', 'ya7ya', 'mustashfa', 'ihda', 'kubra'
+]);
+
+// Words whose final 'a' stays Alif although their shape is that of a feminine noun.
+const FINAL_ALIF_WORDS = new Set(['mar7aba', 'marhaba']);
+
+// Standalone spellings of the article (ال), as in 'el bayt'.
+const ARTICLE_WORDS = new Set(['al', 'el']);
+
+// How digits are handled (see setNumeralMode).
+const NUMERAL_MODES = {
+    ARABIZI: 'arabizi',     // Digits next to letters are Arabizi letters ('3ala'); numbers stay as typed
+    WESTERN: 'western',     // Digits always stay Western digits, even next to letters
+    EASTERN: 'eastern'      // Digits next to letters are Arabizi letters; numbers become Eastern Arabic digits (٠–٩)
+};
+
+// Arabic forms of punctuation marks, used when Arabic punctuation is enabled.
+// Straight double quotes become « or » depending on their position (see convertPunctuation).
+const ARABIC_PUNCTUATION = { ',': '،', '?': '؟', ';': '؛' };
+
+// Characters after which a straight double quote opens a quotation.
+const OPENING_QUOTE_CONTEXT = /[\s([{]/;
+
+// Eastern Arabic digits, indexed by their Western value.
+const EASTERN_DIGITS = '٠١٢٣٤٥٦٧٨٩';
+
 class ArabicTransliterator {
-    constructor() {
-        // Transliteration rules - ORDER MATTERS!
-        // Longer and more specific patterns must come first to avoid partial matches.
-        this.rules = [
-            // --- 1. Multi-character patterns (digraphs) ---
-            // These should always be checked before single letters.
-            { pattern: /sh/gi, arabic: 'ش' }, // 'sh' for Sheen
-            { pattern: /th/gi, arabic: 'ث' }, // 'th' for Thaa (soft 'th' like in 'thin')
-            { pattern: /dh/gi, arabic: 'ذ' }, // 'dh' for Dhaal (soft 'th' like in 'this')
-            { pattern: /ch/gi, arabic: 'ش' }, // Common alternative for 'sh' in some dialects
-
-            // --- 2. Numerical substitutions (Arabizi numbers) ---
-            // These are highly specific and should be prioritized.
-            { pattern: /3/g, arabic: 'ع' },   // 'Ain (guttural stop)
-            { pattern: /7/g, arabic: 'ح' },   // Hha (strong 'h' from throat)
-            { pattern: /5/g, arabic: 'خ' },   // Kha (guttural 'kh' sound)
-            { pattern: /2/g, arabic: 'ء' },   // Hamza (glottal stop)
-            { pattern: /9/g, arabic: 'ق' },   // Qaf (deep 'k' sound)
-            { pattern: /6/g, arabic: 'ط' },   // Ta emphatic (strong 't')
-            { pattern: /8/g, arabic: 'غ' },   // Ghain (guttural 'gh' sound)
-
-            // --- 3. Emphatic consonants (capital letters) ---
-            // Must come before their non-emphatic lowercase counterparts.
-            { pattern: /S/g, arabic: 'ص' },   // Sad (emphatic 's')
-            { pattern: /D/g, arabic: 'ض' },   // Dad (emphatic 'd')
-            { pattern: /Z/g, arabic: 'ظ' },   // Zha (emphatic 'z')
-            { pattern: /T/g, arabic: 'ت' },   // Ta (uppercase T for regular ta)
-            { pattern: /O/g, arabic: 'ؤ' },   // Waw with hamza (shift+o)
-            { pattern: /Y/g, arabic: 'ئ' },   // Ya with hamza (shift+y)
-            // Optional: You could add { pattern: /H/g, arabic: 'ح' } but '7' is more common for Hha.
-
-            // --- 4. Standard single letters (general case-insensitive) ---
-            // These are the most common mappings.
-            { pattern: /a/gi, arabic: 'ا' },   // Alif (long 'a' or placeholder)
-            { pattern: /b/gi, arabic: 'ب' },   // Ba
-            { pattern: /t/g, arabic: 'ة' },    // Taa marbuta (lowercase t)
-            { pattern: /j/gi, arabic: 'ج' },   // Jeem
-            { pattern: /d/gi, arabic: 'د' },   // Dal
-            { pattern: /r/gi, arabic: 'ر' },   // Ra
-            { pattern: /z/gi, arabic: 'ز' },   // Zay
-            { pattern: /s/gi, arabic: 'س' },   // Seen
-            { pattern: /f/gi, arabic: 'ف' },   // Fa
-            { pattern: /k/gi, arabic: 'ك' },   // Kaf
-            { pattern: /l/gi, arabic: 'ل' },   // Lam
-            { pattern: /m/gi, arabic: 'م' },   // Meem
-            { pattern: /n/gi, arabic: 'ن' },   // Noon
-            { pattern: /h/gi, arabic: 'ه' },   // Ha (soft 'h')
-            { pattern: /w/gi, arabic: 'و' },   // Waw (consonant or long 'oo' sound)
-            { pattern: /y/gi, arabic: 'ي' },   // Ya (consonant or long 'ee' sound)
-            { pattern: /p/gi, arabic: 'ب' },   // 'P' doesn't exist in Arabic, commonly mapped to 'B'
-
-            // --- 5. Vowel mappings (often redundant with alif/waw/ya but cover common spellings) ---
-            // These are generally flexible in Arabizi, mapping to long vowels or similar sounds.
-            { pattern: /e/gi, arabic: 'ي' },   // 'E' sound often maps to Ya
-            { pattern: /i/gi, arabic: 'ي' },   // 'I' sound often maps to Ya
-            { pattern: /o/gi, arabic: 'و' },   // 'O' sound often maps to Waw
-            { pattern: /u/gi, arabic: 'و' }    // 'U' sound often maps to Waw
-        ];
+    /**
+     * @param {string} [profileId] - The dialect profile to start with (see dialect-profiles.js).
+     */
+    constructor(profileId = DEFAULT_PROFILE_ID) {
+        // Transliteration rule table: user rules, then the active profile's rules, then BASE_RULES.
+        this.profile = getProfile(profileId) || getProfile(DEFAULT_PROFILE_ID);
+        this.customRules = [];
+        this.rules = this.buildRules();
+
+        // Personal dictionary of whole words (lowercase Latin word → Arabic text).
+        this.dictionary = new Map();
+
+        // Optional TokenClassifier that keeps English words, URLs, etc. in Latin (see setClassifier).
+        this.classifier = null;
+
+        // Lookup index built from `this.rules` (see compileRules).
+        this.ruleIndex = new Map();
+        this.maxPatternLength = 1;
+        this.compileRules();
 
         // Configuration settings
         this.isEnabled = true;
+        this.numeralMode = NUMERAL_MODES.ARABIZI;
+        this.arabicPunctuation = false;
         this.keyboardLayout = 'AZERTY'; // Currently supports 'QWERTY', 'AZERTY' for future.
 
         // Define characters that act as word/segment separators for real-time processing.
         // This ensures words are processed independently.
-        this.separators = [' ', '.', ',', '!', '?', ';', ':', '(', ')', '[', ']', '{', '}', '-', '_', '+', '=', '*', '/', '\\', '|', '&', '%', '$', '#', '@', '^', '~', '`', '<', '>', '"', "'"];
+        this.separators = [' ', '\n', '\t', '.', ',', '!', '?', ';', ':', '(', ')', '[', ']', '{', '}', '-', '_', '+', '=', '*', '/', '\\', '|', '&', '%', '$', '#', '@', '^', '~', '`', '<', '>', '"', "'", '،', '؟', '؛', '«', '»'];
+    }
+
+    /**
+     * Assembles the rule table for the active dialect profile.
+     * User rules come first, then profile entries, so they override the shared letter rules.
+     * @returns {Array<{latin: string, arabic: string}>} - The rule table.
+     */
+    buildRules() {
+        return [
+            ...this.customRules,
+            ...this.profile.digraphs,
+            ...this.profile.numerals,
+            ...(this.profile.letters || []),
+            ...BASE_RULES
+        ];
+    }
+
+    /**
+     * Builds the lookup index used by the tokenizer from `this.rules`.
+     * Must be called again whenever `this.rules` changes.
+     * When two entries share the same Latin key, the first one wins.
+     */
+    compileRules() {
+        this.ruleIndex = new Map();
+        this.maxPatternLength = 1;
+
+        for (const rule of this.rules) {
+            if (!rule.latin || this.ruleIndex.has(rule.latin)) {
+                continue;
+            }
+            this.ruleIndex.set(rule.latin, rule);
+            this.maxPatternLength = Math.max(this.maxPatternLength, rule.latin.length);
+        }
+    }
+
+    /**
+     * Finds the rule for a Latin sequence.
+     * An exact (case-sensitive) key is preferred, then the lowercase key.
+     * @param {string} sequence - The Latin sequence to look up.
+     * @returns {object|undefined} - The matching rule, if any.
+     */
+    findRule(sequence) {
+        return this.ruleIndex.get(sequence) || this.ruleIndex.get(sequence.toLowerCase());
+    }
+
+    /**
+     * Finds the first custom rule, in the user's list order, that matches the input at a position.
+     * A lowercase key matches its uppercase spelling unless another rule has that exact key.
+     * @param {string} input - The text being tokenized.
+     * @param {number} position - The position to match at.
+     * @returns {object|null} - The token for the matched rule, or null if no custom rule matches.
+     */
+    matchCustomRule(input, position) {
+        for (const rule of this.customRules) {
+            const sequence = input.substr(position, rule.latin.length);
+            if (sequence.length === rule.latin.length && this.findRule(sequence) === rule) {
+                return {
+                    latin: sequence,
+                    arabic: rule.arabic,
+                    alternatives: [],
+                    start: position,
+                    end: position + sequence.length,
+                    rule
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Splits the input into tokens in a single left-to-right pass.
+     * Custom rules are tried first, in list order, so the user decides which of two overlapping
+     * rules applies (e.g. 's' above 'sh' turns "sh" into two letters). Otherwise the longest
+     * Latin sequence with a rule is consumed. Characters without
+     * a rule (Arabic text, spaces, punctuation, ...) become pass-through tokens, so text that
+     * has already been transliterated is never converted a second time.
+     * Digits that are numbers rather than Arabizi letters (see setNumeralMode) become numeral tokens.
+     *
+     * @param {string} input - The text to tokenize.
+     * @returns {Array<{latin: string, arabic: string, alternatives: Array<string>, start: number, end: number, rule: object|null}>}
+     *          - The tokens, in order. `alternatives` lists other plausible Arabic outputs for the token.
+     */
+    tokenize(input) {
+        const tokens = [];
+        if (!input) {
+            return tokens;
+        }
+
+        const numerals = this.findNumerals(input);
+        let position = 0;
+        while (position < input.length) {
+            let token = null;
+
+            if (numerals.has(position)) {
+                const digit = input[position];
+                tokens.push({
+                    latin: digit,
+                    arabic: this.numeralMode === NUMERAL_MODES.EASTERN ? EASTERN_DIGITS[digit] : digit,
+                    alternatives: [],
+                    start: position,
+                    end: position + 1,
+                    rule: null
+                });
+                position++;
+                continue;
+            }
+
+            token = this.matchCustomRule(input, position);
+            const longest = Math.min(this.maxPatternLength, input.length - position);
+            for (let length = longest; !token && length > 0; length--) {
+                const sequence = input.substr(position, length);
+                const rule = this.findRule(sequence);
+                if (rule) {
+                    token = {
+                        latin: sequence,
+                        arabic: rule.arabic,
+                        alternatives: rule.alternatives || [],
+                        start: position,
+                        end: position + length,
+                        rule
+                    };
+                }
+            }
+
+            if (!token) {
+                const character = input[position];
+                token = {
+                    latin: character,
+                    arabic: character,
+                    alternatives: [],
+                    start: position,
+                    end: position + 1,
+                    rule: null
+                };
+            }
+
+            tokens.push(token);
+            position = token.end;
+        }
+
+        this.resolveVowels(tokens);
+        this.addSpellingAlternatives(tokens);
+        return tokens;
+    }
+
+    /**
+     * Finds the digits of the input that are numbers rather than Arabizi letters: digits in
+     * runs of letters and digits without any letter (so '3ala' keeps its ع but '2024' and
+     * '0501234567' are numbers); in 'western' mode, every digit.
+     * @param {string} input - The text to scan.
+     * @returns {Set<number>} - Positions of the numeral digits.
+     */
+    findNumerals(input) {
+        const positions = new Set();
+        const runs = this.numeralMode === NUMERAL_MODES.WESTERN ? /[0-9]+/g : /[A-Za-z0-9]+/g;
+        for (const match of input.matchAll(runs)) {
+            if (/[A-Za-z]/.test(match[0])) continue;
+            for (let i = 0; i < match[0].length; i++) {
+                positions.add(match.index + i);
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Adds alternatives for spellings the rules cannot decide on their own:
+     * - a doubled consonant ('yy', 'll', ...) may be a single letter with shadda,
+     * - a word-final 'an' may be tanween ('shukran' → شكرا).
+     *
+     * @param {Array<object>} tokens - Tokens from `tokenize`, updated in place.
+     */
+    addSpellingAlternatives(tokens) {
+        tokens.forEach((token, index) => {
+            if (!token.rule || token.rule.vowel) return;
+
+            const previous = tokens[index - 1];
+            const next = tokens[index + 1];
+            const latin = token.latin.toLowerCase();
+
+            if (previous && previous.rule && previous.latin.toLowerCase() === latin && token.arabic) {
+                token.alternatives = [...token.alternatives, ''];
+            } else if (latin === 'n' && (!next || !next.rule) &&
+                       previous && previous.rule && previous.latin.toLowerCase() === 'a' && index > 1) {
+                token.alternatives = [...token.alternatives, ''];
+            }
+        });
+    }
+
+    /**
+     * Adjusts the Arabic output of vowel tokens to their position in the word.
+     * A word is a run of tokens produced by rules; pass-through tokens end it.
+     * - Word-initial vowels get a hamza seat: 'a', 'o', 'u' → أ, 'e', 'i' → إ, 'aa' → آ.
+     * - Long vowels (doubled vowels and diphthongs) are always written.
+     * - Short vowels inside the word are dropped.
+     * - The final 'a' of '-iyya' becomes Ta Marbuta (ة), and so do a final 'a', 'ah' or 'eh'
+     *   after a stem of two syllables or more (see isTaaMarbutaEnding).
+     *   The final 'a' of common words such as '3ala' becomes Alif Maqsura (ى).
+     * - 'a'/'e' before 'l' at the start of a word is the article (ال), written without hamza,
+     *   and so is a standalone 'al'/'el'.
+     * The token's `alternatives` are updated to the other spellings that fit its position.
+     *
+     * @param {Array<object>} tokens - Tokens from `tokenize`, updated in place.
+     */
+    resolveVowels(tokens) {
+        let wordStart = 0;
+        while (wordStart < tokens.length) {
+            if (!tokens[wordStart].rule) {
+                wordStart++;
+                continue;
+            }
+
+            let wordEnd = wordStart;
+            while (wordEnd < tokens.length && tokens[wordEnd].rule) {
+                wordEnd++;
+            }
+
+            const word = tokens.slice(wordStart, wordEnd);
+            const latinWord = word.map(token => token.latin).join('').toLowerCase();
+            const latinAt = index => (word[index] ? word[index].latin.toLowerCase() : '');
+
+            word.forEach((token, index) => {
+                if (!token.rule.vowel) return;
+
+                const vowel = token.latin.toLowerCase();
+                const isFirst = index === 0;
+                const isLast = index === word.length - 1;
+
+                if (isFirst) {
+                    const isArticle = (vowel === 'a' || vowel === 'e') && latinAt(1) === 'l' &&
+                        (word.length > 2 || ARTICLE_WORDS.has(latinWord));
+                    const initialForm = INITIAL_VOWEL_FORMS[vowel] || token.arabic;
+                    token.arabic = isArticle ? 'ا' : initialForm;
+                    token.alternatives = isArticle ? [initialForm] : [token.rule.arabic];
+                } else if (token.rule.vowel === 'long') {
+                    // Long vowels keep their normal mapping.
+                } else if (isLast) {
+                    if (vowel === 'a' && latinAt(index - 1) === 'y' && latinAt(index - 2) === 'y') {
+                        token.arabic = 'ة';
+                    } else if (vowel === 'a' && ALIF_MAQSURA_WORDS.has(latinWord)) {
+                        token.arabic = 'ى';
+                    } else if (vowel === 'a' && this.isTaaMarbutaEnding(latinWord, 1)) {
+                        token.arabic = 'ة';
+                    }
+                    token.alternatives = vowel === 'a' ? ['ا', 'ة', 'ى'].filter(form => form !== token.arabic) : [];
+                } else if (index === word.length - 2 && latinAt(index + 1) === 'h' &&
+                           (vowel === 'a' || vowel === 'e') && this.isTaaMarbutaEnding(latinWord, 2)) {
+                    token.arabic = 'ة';
+                    token.alternatives = [];
+                    word[index + 1].arabic = '';
+                    word[index + 1].alternatives = [];
+                } else {
+                    token.arabic = '';
+                    token.alternatives = [LONG_VOWEL_FORMS[vowel]];
+                }
+            });
+
+            wordStart = wordEnd;
+        }
+    }
+
+    /**
+     * Checks whether the ending of a word ('a', 'ah' or 'eh') is a Ta Marbuta. Feminine nouns
+     * have a stem of two syllables or more before it ('madras-a', 'maktab-ah', 'madin-ah');
+     * after a single syllable the ending is part of the root ('sab-ah', 'hal-a').
+     * The 'llah' of 'allah', 'wallah', ... and FINAL_ALIF_WORDS are never Ta Marbuta.
+     *
+     * @param {string} latinWord - The lowercase Latin word.
+     * @param {number} endingLength - The length of the ending (1 for 'a', 2 for 'ah'/'eh').
+     * @returns {boolean}
+     */
+    isTaaMarbutaEnding(latinWord, endingLength) {
+        const stem = latinWord.slice(0, -endingLength);
+        if (FINAL_ALIF_WORDS.has(latinWord) || stem.endsWith('ll')) {
+            return false;
+        }
+        return (stem.match(/[aeiou]+/g) || []).length >= 2;
+    }
+
+    /**
+     * Applies the character rules only, ignoring the personal dictionary.
+     * Tokenizes the input once and joins the Arabic output of every token.
+     *
+     * @param {string} input - The Latin (Arabizi) text to convert.
+     * @returns {string} - The converted Arabic text.
+     */
+    applyRules(input) {
+        if (!input) {
+            return '';
+        }
+
+        return this.tokenize(input).map(token => token.arabic).join('');
+    }
+
+    /**
+     * Transliterates a single committed word.
+     * A personal dictionary entry wins over the character rules.
+     *
+     * @param {string} word - The Latin (Arabizi) word, without separators.
+     * @returns {string} - The transliterated Arabic word.
+     */
+    transliterateWord(word) {
+        return this.lookupDictionary(word) ?? this.applyRules(word);
+    }
+
+    /**
+     * Commits a word typed in a page with the rules alone: words inside URLs, emails,
+     * mentions or code and English words stay Latin, and other words are transliterated,
+     * a personal dictionary entry winning over the rules (dictionary words are never English). The background script adds learned choices
+     * and the lexicon on top (see commitWord in background.js).
+     *
+     * @param {string} word - The Latin word.
+     * @param {string} [before] - The text before the word on its line, used to classify it.
+     * @param {string} [after] - The separator typed after the word.
+     * @param {boolean} [force] - Transliterate the word even if it looks like English.
+     * @returns {{text: string, type: string, separator?: string, openingQuote?: string}} - The final text,
+     *          its token type and, for Arabic words, the punctuation to put around it (see getWordPunctuation).
+     */
+    commitWord(word, before = '', after = '', force = false) {
+        // Classified first, so a dictionary word inside a URL or email stays Latin
+        const type = force ? TOKEN_TYPES.ARABIZI :
+            this.getTokenType(before + word + after, before.length, before.length + word.length);
+        if (type !== TOKEN_TYPES.ARABIZI) {
+            return { text: word, type };
+        }
+        return { text: this.transliterateWord(word), type, ...this.getWordPunctuation(word, before, after) };
+    }
+
+    /**
+     * Finds the punctuation around a committed Arabic word: with Arabic punctuation enabled,
+     * the separator typed after it and an opening quote right before it in their Arabic forms (، ؟ ؛ « »).
+     * @param {string} word - The Latin word.
+     * @param {string} before - The text before the word on its line.
+     * @param {string} after - The separator typed after the word.
+     * @returns {{separator: string, openingQuote?: string}} - The separator, and the opening quote if there is one.
+     */
+    getWordPunctuation(word, before, after) {
+        const punctuation = { separator: this.convertPunctuation(after, word.slice(-1)) };
+        const quoteContext = before.slice(-2, -1);
+        if (before.endsWith('"') && this.isOpeningQuote('"', quoteContext)) {
+            punctuation.openingQuote = this.convertPunctuation('"', quoteContext);
+        }
+        return punctuation;
     }
 
     /**
      * Main transliteration function.
-     * Applies all defined rules sequentially to a given input string.
-     * This function is used for both full string conversions and segments of real-time input.
+     * Every word in the input is treated as committed, so dictionary entries apply.
+     * Separators are passed through unchanged.
      *
      * @param {string} input - The Latin (Arabizi) text to transliterate.
      * @returns {string} - The transliterated Arabic text.
      */
     transliterate(input) {
+        return this.analyze(input).text;
+    }
+
+    /**
+     * Transliterates text and reports how each token was classified.
+     * Only tokens classified as Arabizi are converted; with a classifier set, English words,
+     * URLs, emails, mentions and code are kept as typed, and escaped words lose their prefix.
+     *
+     * @param {string} input - The Latin (Arabizi) text to transliterate.
+     * @returns {{text: string, tokens: Array<{latin: string, text: string, type: string, start: number, end: number}>}}
+     *          - The transliterated text, and each token (word or protected span) with its
+     *            output, its type (see TOKEN_TYPES) and its position in the input. Separators are not tokens.
+     */
+    analyze(input) {
+        const tokens = [];
         if (!input) {
-            return '';
+            return { text: '', tokens };
         }
 
-        let result = input;
-        // Apply transliteration rules in the defined order.
-        // The order ensures that more specific patterns are matched before general ones.
-        for (const rule of this.rules) {
-            result = result.replace(rule.pattern, rule.arabic);
+        // Output pieces in order: tokens, and the separator characters between them.
+        const pieces = [];
+        const addToken = (start, end, type) => {
+            const latin = input.slice(start, end);
+            let output = latin;
+            if (type === TOKEN_TYPES.ARABIZI) {
+                output = this.transliterateWord(latin);
+            } else if (type === TOKEN_TYPES.ESCAPED) {
+                output = latin.slice(ESCAPE_PREFIX.length);
+            }
+            const token = { latin, text: output, type, start, end };
+            tokens.push(token);
+            pieces.push(token);
+        };
+
+        // Split the text between protected spans into words.
+        const addWords = (start, end) => {
+            let wordStart = start;
+            for (let i = start; i < end; i++) {
+                if (this.separators.includes(input[i])) {
+                    if (i > wordStart) {
+                        addToken(wordStart, i, this.classifyWord(input.slice(wordStart, i)));
+                    }
+                    pieces.push({ separator: input[i], start: i });
+                    wordStart = i + 1;
+                }
+            }
+            if (end > wordStart) {
+                addToken(wordStart, end, this.classifyWord(input.slice(wordStart, end)));
+            }
+        };
+
+        let position = 0;
+        const spans = this.classifier ? this.classifier.findProtectedSpans(input) : [];
+        for (const span of spans) {
+            addWords(position, span.start);
+            addToken(span.start, span.end, span.type);
+            position = span.end;
         }
-        return result;
+        addWords(position, input.length);
+
+        // Punctuation takes its Arabic form after an Arabic word; an opening quote before one.
+        // Other punctuation may sit in between ('"7abibi",'), whitespace may not.
+        const findWord = (index, step) => {
+            for (let i = index + step; pieces[i]; i += step) {
+                if (pieces[i].separator === undefined) return pieces[i];
+                if (/\s/.test(pieces[i].separator)) return null;
+            }
+            return null;
+        };
+        const text = pieces.map((piece, index) => {
+            if (piece.separator === undefined) {
+                return piece.text;
+            }
+            const previousCharacter = input.charAt(piece.start - 1);
+            const word = findWord(index, this.isOpeningQuote(piece.separator, previousCharacter) ? 1 : -1);
+            return word && word.type === TOKEN_TYPES.ARABIZI ?
+                this.convertPunctuation(piece.separator, previousCharacter) : piece.separator;
+        }).join('');
+
+        return { text, tokens };
+    }
+
+    /**
+     * Checks whether a straight double quote opens a quotation (at the start, or after a space or bracket).
+     * @param {string} character - The punctuation mark.
+     * @param {string} previousCharacter - The character before it ('' at the start of the text).
+     * @returns {boolean} - True for an opening quote.
+     */
+    isOpeningQuote(character, previousCharacter) {
+        return character === '"' && (!previousCharacter || OPENING_QUOTE_CONTEXT.test(previousCharacter));
+    }
+
+    /**
+     * Converts a punctuation mark to its Arabic form (، ؟ ؛ « »), if Arabic punctuation is enabled.
+     * The caller decides whether the mark belongs to Arabic text.
+     * @param {string} character - The punctuation mark.
+     * @param {string} [previousCharacter] - The character before it, which tells an opening quote from a closing one.
+     * @returns {string} - The Arabic form, or the mark unchanged.
+     */
+    convertPunctuation(character, previousCharacter = '') {
+        if (!this.arabicPunctuation) {
+            return character;
+        }
+        if (character === '"') {
+            return this.isOpeningQuote(character, previousCharacter) ? '«' : '»';
+        }
+        return ARABIC_PUNCTUATION[character] || character;
+    }
+
+    /**
+     * Classifies a single word. Personal dictionary words are always Arabizi.
+     * @param {string} word - The word, without separators.
+     * @returns {string} - A TOKEN_TYPES value.
+     */
+    classifyWord(word) {
+        if (!this.classifier || this.lookupDictionary(word)) {
+            return TOKEN_TYPES.ARABIZI;
+        }
+        return this.classifier.classifyWord(word);
+    }
+
+    /**
+     * Finds whether part of a text lies in a span that must stay Latin (URL, email, mention, code, escaped word).
+     * @param {string} text - The surrounding text.
+     * @param {number} start - Start of the part to check.
+     * @param {number} end - End of the part to check.
+     * @returns {string|null} - The span's TOKEN_TYPES value, or null if the part is not protected.
+     */
+    getProtectedType(text, start, end) {
+        if (!this.classifier) {
+            return null;
+        }
+        const span = this.classifier.findProtectedSpans(text).find(span => span.start < end && span.end > start);
+        return span ? span.type : null;
+    }
+
+    /**
+     * Classifies a word within its surrounding text, e.g. a word being committed.
+     * @param {string} text - The surrounding text.
+     * @param {number} start - Start of the word.
+     * @param {number} end - End of the word.
+     * @returns {string} - A TOKEN_TYPES value.
+     */
+    getTokenType(text, start, end) {
+        return this.getProtectedType(text, start, end) ?? this.classifyWord(text.slice(start, end));
     }
 
     /**
      * Real-time transliteration for input events.
-     * This function processes the current input field value, identifies the active
-     * word/segment around the cursor, and provides a live, transliterated preview.
+     * This function identifies the active word/segment around the cursor and transliterates
+     * only that segment. Text before and after it is left untouched, so words that are
+     * already Arabic, were pasted in, or were deliberately left in Latin are not rewritten.
      * It handles multi-character transliteration correctly as you type.
      *
-     * @param {string} currentText - The full current value of the input field.
-     * @param {number} cursorPosition - The current cursor position in the input field.
-     * @returns {object} - An object containing the new transliterated text and the adjusted cursor position.
+     * @param {string} currentText - The text containing the word being typed (the whole field or just the word).
+     * @param {number} cursorPosition - The cursor position in `currentText`.
+     * @returns {object} - The new text, the adjusted cursor position, the bounds
+     *                     (`segmentStart`, `segmentEnd`) of the transliterated segment in the new text,
+     *                     and its `type` (a TOKEN_TYPES value; segments inside URLs, emails, etc. stay Latin).
      */
     transliterateRealTime(currentText, cursorPosition) {
         if (!this.isEnabled) {
@@ -126,32 +666,35 @@ class ArabicTransliterator {
         }
 
         // 2. Split the current text into three logical parts:
-        //    a. `committedPrefix`: Text before the active segment (fully transliterated words).
+        //    a. `prefix`: Text before the active segment.
         //    b. `activeSegment`: The word/punctuation sequence currently being typed/edited.
-        //    c. `suffix`: Text after the active segment (fully transliterated words).
-        const committedPrefix = currentText.substring(0, leftBoundary + 1);
+        //    c. `suffix`: Text after the active segment.
+        const prefix = currentText.substring(0, leftBoundary + 1);
         const activeSegment = currentText.substring(leftBoundary + 1, rightBoundary);
         const suffix = currentText.substring(rightBoundary);
 
-        // 3. Transliterate each part independently using the main `transliterate` function.
-        // This ensures rules like 'sh' -> 'ش' apply correctly within the activeSegment.
-        const transliteratedCommittedPrefix = this.transliterate(committedPrefix);
-        const transliteratedActiveSegment = this.transliterate(activeSegment);
-        const transliteratedSuffix = this.transliterate(suffix);
+        // 3. Transliterate only the active segment, unless it is part of a URL, email, etc.
+        // It is still being typed, so only the character rules apply to it; dictionary entries
+        // and the English word list are used once a word is committed.
+        const protectedType = this.getProtectedType(currentText, leftBoundary + 1, rightBoundary);
+        const convert = protectedType ? (text) => text : (text) => this.applyRules(text);
+        const transliteratedActiveSegment = convert(activeSegment);
 
-        // 4. Reconstruct the full transliterated text.
-        const newText = transliteratedCommittedPrefix + transliteratedActiveSegment + transliteratedSuffix;
+        // 4. Reconstruct the full text around the transliterated segment.
+        const newText = prefix + transliteratedActiveSegment + suffix;
 
         // 5. Calculate the new cursor position.
-        // The most robust method for this type of transliterator is to transliterate
-        // the portion of the original input string up to the original cursor position.
-        // The length of this transliterated substring becomes the new cursor position.
-        const previewUpToCursor = this.transliterate(currentText.substring(0, cursorPosition));
-        const newCursorPosition = previewUpToCursor.length;
+        // Transliterate the part of the active segment up to the original cursor position
+        // and add its length to the length of the prefix.
+        const previewUpToCursor = convert(currentText.substring(leftBoundary + 1, cursorPosition));
+        const newCursorPosition = prefix.length + previewUpToCursor.length;
 
         return {
             text: newText,
-            newCursorPosition: newCursorPosition
+            newCursorPosition: newCursorPosition,
+            segmentStart: prefix.length,
+            segmentEnd: prefix.length + transliteratedActiveSegment.length,
+            type: protectedType || TOKEN_TYPES.ARABIZI
         };
     }
 
@@ -165,6 +708,27 @@ class ArabicTransliterator {
         return this.transliterate(input);
     }
 
+    /**
+     * Choose how digits are handled (see NUMERAL_MODES).
+     * @param {string} mode - A NUMERAL_MODES value.
+     * @returns {boolean} - True if the mode is known and was applied.
+     */
+    setNumeralMode(mode) {
+        if (!Object.values(NUMERAL_MODES).includes(mode)) {
+            return false;
+        }
+        this.numeralMode = mode;
+        return true;
+    }
+
+    /**
+     * Enable or disable Arabic punctuation (، ؟ ؛ « ») after Arabic words.
+     * @param {boolean} enabled - True to convert punctuation.
+     */
+    setArabicPunctuation(enabled) {
+        this.arabicPunctuation = enabled;
+    }
+
     /**
      * Enable or disable the transliterator functionality.
      * @param {boolean} enabled - True to enable, false to disable.
@@ -173,6 +737,81 @@ class ArabicTransliterator {
         this.isEnabled = enabled;
     }
 
+    /**
+     * Replace the user-defined character rules.
+     * Entries without a Latin key or Arabic output are ignored. Custom rules are tried in list
+     * order before the built-in rules, so earlier entries win over later ones (see tokenize).
+     * @param {Array<{latin: string, arabic: string}>} rules - The user rules, in priority order.
+     */
+    setCustomRules(rules) {
+        this.customRules = (Array.isArray(rules) ? rules : [])
+            .filter(rule => rule && typeof rule.latin === 'string' && rule.latin &&
+                typeof rule.arabic === 'string' && rule.arabic)
+            .map(rule => ({ latin: rule.latin, arabic: rule.arabic, custom: true }));
+        this.rules = this.buildRules();
+        this.compileRules();
+    }
+
+    /**
+     * Replace the personal dictionary of whole-word entries.
+     * Latin words are matched case-insensitively.
+     * @param {Array<{latin: string, arabic: string}>} entries - The dictionary entries.
+     */
+    setDictionary(entries) {
+        this.dictionary = new Map();
+        for (const entry of Array.isArray(entries) ? entries : []) {
+            if (entry && typeof entry.latin === 'string' && entry.latin &&
+                typeof entry.arabic === 'string' && entry.arabic) {
+                this.dictionary.set(entry.latin.toLowerCase(), entry.arabic);
+            }
+        }
+    }
+
+    /**
+     * Set the classifier that decides which tokens are Arabizi (see token-classifier.js).
+     * @param {TokenClassifier|null} classifier - The classifier, or null to transliterate every token.
+     */
+    setClassifier(classifier) {
+        this.classifier = classifier;
+    }
+
+    /**
+     * Look up a whole word in the personal dictionary.
+     * @param {string} word - The Latin (Arabizi) word.
+     * @returns {string|null} - The dictionary's Arabic text, or null if there is no entry.
+     */
+    lookupDictionary(word) {
+        if (!word) {
+            return null;
+        }
+        return this.dictionary.get(word.toLowerCase()) ?? null;
+    }
+
+    /**
+     * Switch to another dialect profile and rebuild the rule table.
+     * @param {string} profileId - The profile id (e.g. 'levantine').
+     * @returns {boolean} - True if the profile exists and is now active, false otherwise.
+     */
+    setProfile(profileId) {
+        const profile = getProfile(profileId);
+        if (!profile) {
+            return false;
+        }
+
+        this.profile = profile;
+        this.rules = this.buildRules();
+        this.compileRules();
+        return true;
+    }
+
+    /**
+     * Get the id of the active dialect profile.
+     * @returns {string} - The profile id.
+     */
+    getProfileId() {
+        return this.profile.id;
+    }
+
     /**
      * Set the keyboard layout (e.g., 'QWERTY', 'AZERTY').
      * This method is a placeholder for future enhancements where rules might
@@ -193,18 +832,28 @@ class ArabicTransliterator {
     }
 
     /**
-     * Get all available transliteration rules.
-     * Useful for displaying rules to the user.
-     * @returns {Array} - An array of rule objects (pattern source, arabic character, flags).
+     * Get the rules the tokenizer actually applies, for display (e.g. the cheat sheet).
+     * Entries overridden by a rule with the same key are left out, and so are the digit
+     * rules when digits are never read as letters (see setNumeralMode).
+     * @returns {Array<{latin: string, arabic: string, alternatives: Array<string>, vowel: string|null, source: string}>}
+     *          - The rules in lookup order. `vowel` is 'long' or 'short' for vowels, whose output depends
+     *            on their position in the word; `source` is 'custom', 'profile' or 'base'.
      */
     getRules() {
-        return this.rules.map(rule => ({
-            pattern: rule.pattern.source, // Regex source string
-            arabic: rule.arabic,         // Arabic character
-            flags: rule.pattern.flags    // Regex flags (e.g., 'gi')
-        }));
+        const baseRules = new Set(BASE_RULES);
+
+        return this.rules
+            .filter(rule => rule.latin && this.ruleIndex.get(rule.latin) === rule)
+            .filter(rule => this.numeralMode !== NUMERAL_MODES.WESTERN || !/^[0-9]+$/.test(rule.latin))
+            .map(rule => ({
+                latin: rule.latin,
+                arabic: rule.arabic,
+                alternatives: rule.alternatives || [],
+                vowel: rule.vowel || null,
+                source: rule.custom ? 'custom' : (baseRules.has(rule) ? 'base' : 'profile')
+            }));
     }
 }
 
-// Add this line to explicitly export the class for ES Modules
-export { ArabicTransliterator };
\ No newline at end of file
+// ES module exports, used by background.js and by the tests in Node (no Chrome APIs needed)
+export { ArabicTransliterator, NUMERAL_MODES };
\ No newline at end of file
@@ -4,8 +4,97 @@
 let isTransliteratorEnabled = false;
 let isUpdatingInput = false;
 let lastProcessedElement = null;
-let universalObserver = null;
 let initializationComplete = false;
+let pendingWord = null;
+let candidateList = null;
+let lastCommittedWord = null;
+let fieldSelectors = [];
+let useArabicFont = false;
+let typingMode = 'live';
+let autoPause = true;
+let isHoldTyping = false;
+let backspaceUndo = true;
+let undoableConversion = null;
+let restoredWord = null;
+let localEngine = null;
+let isComposing = false;
+let convertPaste = false;
+let lastBeforeInput = null;
+let lastKeydownKey = null;
+
+// Fields whose direction was changed → their original dir attribute (null if none)
+const editedFields = new Map();
+
+// Field → its recent conversions, newest last, for undoing them (see undoLastConversion)
+const conversionHistory = new WeakMap();
+
+// Conversions remembered per field
+const MAX_CONVERSION_HISTORY = 20;
+
+// A word made of Arabic letters only
+const ARABIC_WORD = /^[\u0600-\u06FF]+$/;
+
+// Characters that end a word; typing one commits the word before it
+const WORD_SEPARATOR = /[\s.,!?;:()[\]{}\-_+=*/\\|&%$#@^~`<>"'،؟؛«»]/;
+
+// Typed text that is transliterated as it is typed (Latin letters and Arabizi digits)
+const LATIN_INPUT = /^[A-Za-z0-9]+$/;
+
+// Prefix that keeps the following word in Latin; removed when the word is committed
+const ESCAPE_PREFIX = '\\';
+
+// autocomplete values of login fields, which are never transliterated
+const LOGIN_AUTOCOMPLETE = ['username', 'email', 'current-password', 'new-password', 'one-time-code'];
+
+// Arabic and Latin letters, counted to pick a field's direction
+const ARABIC_LETTER = /[\u0600-\u06FF]/g;
+const LATIN_LETTER = /[A-Za-z]/g;
+
+// Storage key of the "Arabic font" option (set on the options page)
+const STORAGE_KEY_ARABIC_FONT = 'translit_arabic_font';
+
+// Attribute marking fields that use the Arabic font from assets/styles.css
+const ARABIC_FONT_ATTRIBUTE = 'data-harfsync-arabic';
+
+// Typing modes (set on the options page): convert while typing, only with the
+// previous-word shortcut, or only while the hold key is pressed
+const TYPING_MODES = { LIVE: 'live', MANUAL: 'manual', HOLD: 'hold' };
+
+// The hold key of hold mode. Alt only: with Ctrl held, letters are browser shortcuts
+// (Ctrl+W closes the tab) that a page cannot cancel
+const HOLD_KEY = 'Alt';
+
+// Storage keys of the typing options (set on the options page)
+const STORAGE_KEY_TYPING_MODE = 'translit_typing_mode';
+const STORAGE_KEY_AUTO_PAUSE = 'translit_auto_pause';
+const STORAGE_KEY_BACKSPACE_UNDO = 'translit_backspace_undo';
+const STORAGE_KEY_CONVERT_PASTE = 'translit_convert_paste';
+
+// The engine module run in the page (see setLocalEngine); until it is loaded, words are
+// converted by the background script
+const LOCAL_ENGINE_PATH = 'content-scripts/local-engine.js';
+
+// How text is written into a contenteditable: with the browser's editing command, which
+// the editor applies like typed text, falling back to editing the text node; or with the
+// editing command only, for editors that undo or break on changes made behind their back
+const WRITE_STRATEGIES = { COMMAND: 'command', COMMAND_ONLY: 'command-only' };
+
+// Editors that need a particular write strategy, matched by the editor element and, for
+// site-specific editors, the site's hostnames (subdomains included). The first match wins;
+// other contenteditables use WRITE_STRATEGIES.COMMAND.
+const EDITOR_ADAPTERS = [
+    // These render from their own document model
+    { name: 'Draft.js', selector: '.public-DraftEditor-content', strategy: WRITE_STRATEGIES.COMMAND_ONLY },
+    { name: 'Lexical', selector: '[data-lexical-editor="true"]', strategy: WRITE_STRATEGIES.COMMAND_ONLY },
+    { name: 'Slate', selector: '[data-slate-editor="true"]', strategy: WRITE_STRATEGIES.COMMAND_ONLY },
+    { name: 'Notion', hosts: ['notion.so'], selector: '[contenteditable="true"]', strategy: WRITE_STRATEGIES.COMMAND_ONLY }
+];
+
+// Code editors and code blocks, where typing is paused
+const CODE_EDITOR_SELECTOR = 'pre, code, .CodeMirror, .cm-editor, .monaco-editor, .ace_editor';
+
+// Keys typed for the user in hold mode (the held modifier changes what they would type)
+const HOLD_TYPED_KEY = /^(Key([A-Z])|Digit([0-9]))$/;
 
 /**
  * Find all relevant input elements on the page
@@ -55,6 +144,10 @@ function findInputElements() {
 function isValidInputElement(element) {
     if (!element || !element.tagName || !element.isConnected) return false;
     
+    // Skip disabled/readonly and hidden elements
+    if (element.disabled || element.readOnly) return false;
+    if (isHiddenElement(element)) return false;
+    
     // Standard input validation
     const tagName = element.tagName.toLowerCase();
     if (tagName === 'input') {
@@ -75,24 +168,83 @@ function isValidInputElement(element) {
         return true;
     }
     
-    // Skip disabled/readonly and hidden elements
-    if (element.disabled || element.readOnly) return false;
-    if (element.offsetParent === null && element.style.position !== 'fixed') {
-        return false;
-    }
-    
     return false;
 }
 
+/**
+ * Check if an element is not rendered (display: none on it or an ancestor).
+ * offsetParent is null for those, but also for the body and fixed-position elements.
+ */
+function isHiddenElement(element) {
+    if (element.offsetParent !== null || element === document.body) return false;
+    return getComputedStyle(element).position !== 'fixed';
+}
+
 /**
  * Check if element should be processed for transliteration
  */
 function isInputElement(element) {
-    return isValidInputElement(element);
+    return isValidInputElement(element) && !isFieldOptedOut(element);
+}
+
+/**
+ * Check if a field is marked as Arabic with lang="ar" or the page's own dir="rtl"
+ */
+function isArabicField(element) {
+    const lang = (element.getAttribute('lang') || '').toLowerCase();
+    // Only the page's own dir counts, not one set by updateFieldAppearance
+    const dir = editedFields.has(element) ? editedFields.get(element) : element.getAttribute('dir');
+    return lang.startsWith('ar') || (dir || '').toLowerCase() === 'rtl';
+}
+
+/**
+ * Check if a field opted out of transliteration: through a data-harfsync="off"
+ * attribute on it or an ancestor, a login autocomplete hint, or one of the
+ * user's field selectors. A field marked lang="ar" or dir="rtl" is always transliterated.
+ */
+function isFieldOptedOut(element) {
+    if (isArabicField(element)) return false;
+    
+    if (element.closest('[data-harfsync="off"]')) return true;
+    
+    const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    if (autocomplete.some(token => LOGIN_AUTOCOMPLETE.includes(token))) return true;
+    
+    return fieldSelectors.some(selector => {
+        try {
+            return element.closest(selector) !== null;
+        } catch (e) {
+            return false; // Skip invalid selectors
+        }
+    });
+}
+
+/**
+ * Check if typing is paused in a field (when the "auto-pause" option is on):
+ * code editors and fields in another language (lang="en", ...). Password
+ * inputs are never valid input elements, so they need no check here.
+ * Only conversion while typing is paused; the previous-word shortcut still works.
+ */
+function isFieldAutoPaused(element) {
+    if (!autoPause || isArabicField(element)) return false;
+    
+    if (element.closest(CODE_EDITOR_SELECTOR)) return true;
+    
+    // isArabicField already let lang="ar" through
+    return element.hasAttribute('lang') && element.getAttribute('lang') !== '';
 }
 
 /**
- * Set up event listeners and mutation observer
+ * Check if typed Latin text is converted right now in a field, given the typing mode
+ */
+function isLiveConversionActive(element) {
+    if (typingMode === TYPING_MODES.MANUAL) return false;
+    if (typingMode === TYPING_MODES.HOLD && !isHoldTyping) return false;
+    return !isFieldAutoPaused(element);
+}
+
+/**
+ * Set up event listeners
  */
 function attachEventListeners() {
     const eventConfig = { passive: false, capture: true };
@@ -100,22 +252,66 @@ function attachEventListeners() {
     const eventHandlers = {
         input: (event) => {
             if (isInputElement(event.target) && isTransliteratorEnabled) {
-                processElement(event.target);
+                handleTypedInput(event);
             }
         },
         
-        keyup: (event) => {
+        beforeinput: (event) => {
             if (isInputElement(event.target) && isTransliteratorEnabled) {
-                if (event.key.length === 1 || ['Backspace', 'Delete', 'Enter'].includes(event.key)) {
-                    processElement(event.target);
-                }
+                handleBeforeInput(event);
+            }
+        },
+        
+        // While an IME (or a mobile keyboard) composes text, the text is its own
+        compositionstart: () => {
+            isComposing = true;
+            pendingWord = null;
+            undoableConversion = null;
+            hideCandidates();
+        },
+        
+        compositionend: () => {
+            isComposing = false;
+        },
+        
+        keydown: (event) => {
+            lastKeydownKey = event.key;
+            if (isTransliteratorEnabled && !handleHoldKeydown(event) && !handleUndoKeydown(event)) {
+                handleCandidateKeydown(event);
+            }
+        },
+        
+        keyup: (event) => {
+            // Edits after the key is released (IME, context menu, autocorrect) come without a key
+            lastKeydownKey = null;
+            if (typingMode === TYPING_MODES.HOLD && event.key === HOLD_KEY) {
+                commitHeldWord();
             }
         },
         
         focus: (event) => {
             if (isInputElement(event.target)) {
                 lastProcessedElement = event.target;
+                pendingWord = null;
+                undoableConversion = null;
+                hideCandidates();
+            }
+        },
+        
+        blur: (event) => {
+            if (pendingWord && event.target === pendingWord.element && typingMode === TYPING_MODES.HOLD) {
+                commitHeldWord();
             }
+            if (isCandidateListVisible() && event.target === candidateList.word.element) {
+                hideCandidates();
+            }
+            if (lastCommittedWord && event.target === lastCommittedWord.element) {
+                checkCommittedWordEdit();
+            }
+        },
+        
+        scroll: () => {
+            hideCandidates();
         }
     };
     
@@ -123,46 +319,33 @@ function attachEventListeners() {
     Object.entries(eventHandlers).forEach(([eventType, handler]) => {
         document.addEventListener(eventType, handler, eventConfig);
     });
-    
-    // Set up mutation observer for dynamic content
-    universalObserver = new MutationObserver((mutations) => {
-        if (!isTransliteratorEnabled) return;
-        
-        let hasNewInputs = false;
-        mutations.forEach((mutation) => {
-            mutation.addedNodes.forEach((node) => {
-                if (node.nodeType === Node.ELEMENT_NODE) {
-                    if (isInputElement(node)) {
-                        hasNewInputs = true;
-                    } else {
-                        const inputs = node.querySelectorAll ? 
-                            node.querySelectorAll('input, textarea, [contenteditable]') : [];
-                        if (inputs.length > 0) {
-                            hasNewInputs = true;
-                        }
-                    }
-                }
-            });
-        });
-        
-        if (hasNewInputs) {
-            setTimeout(processPage, 100);
-        }
-    });
-    
-    universalObserver.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: false
-    });
 }
 
 /**
- * Process individual input element for transliteration
+ * Transliterate the whole text of an element on request (e.g. from the popup).
+ * Typing only ever converts the word being typed, see handleTypedInput.
+ * In a contenteditable each text node is converted in place, so formatting,
+ * links, line breaks and mentions are kept.
  */
 function processElement(element) {
     if (!element || isUpdatingInput || !isTransliteratorEnabled) return;
     
+    if (!isTextControl(element)) {
+        getEditableTextNodes(element).forEach(node => {
+            const currentText = node.data;
+            chrome.runtime.sendMessage({
+                action: 'transliterate',
+                text: currentText
+            }, (response) => {
+                if (response && response.transliteratedText && response.transliteratedText !== currentText &&
+                    node.isConnected && node.data === currentText) {
+                    replaceNodeText(element, node, 0, currentText.length, response.transliteratedText);
+                }
+            });
+        });
+        return;
+    }
+    
     const currentText = getCurrentText(element);
     if (!currentText) return;
     
@@ -177,6 +360,952 @@ function processElement(element) {
     });
 }
 
+/**
+ * Get the non-empty text nodes of a contenteditable that the user can edit
+ * (skipping non-editable parts such as mention chips)
+ */
+function getEditableTextNodes(element) {
+    const nodes = [];
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (node.data.trim() && node.parentElement && node.parentElement.isContentEditable) {
+            nodes.push(node);
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Check if element is a native text control (input or textarea)
+ */
+function isTextControl(element) {
+    const tagName = element.tagName.toLowerCase();
+    return tagName === 'input' || tagName === 'textarea';
+}
+
+/**
+ * Get the node holding the caret (the text control itself, or the text node
+ * of a contenteditable) and the caret offset inside it
+ */
+function getCaretContext(element) {
+    if (isTextControl(element)) {
+        // selectionStart is null for input types without selection support (e.g. email)
+        if (element.selectionStart === null || element.selectionStart !== element.selectionEnd) return null;
+        return { node: element, offset: element.selectionStart };
+    }
+    
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return null;
+    
+    const range = selection.getRangeAt(0);
+    if (!range.collapsed || range.startContainer.nodeType !== Node.TEXT_NODE) return null;
+    
+    return { node: range.startContainer, offset: range.startOffset };
+}
+
+/**
+ * Get text of a caret node returned by getCaretContext
+ */
+function getNodeText(node) {
+    return node.nodeType === Node.TEXT_NODE ? node.data : node.value;
+}
+
+/**
+ * Replace part of a caret node's text, keeping the caret after the replaced part,
+ * or moving it to caretPosition when one is given.
+ * In a contenteditable only the given text node changes, and the edit goes
+ * through the editor (see insertTextWithEditor) whenever possible; editors
+ * that only accept that (see EDITOR_ADAPTERS) are left unchanged otherwise.
+ */
+function replaceNodeText(element, node, start, end, text, caretPosition) {
+    if (isUpdatingInput) return;
+    
+    isUpdatingInput = true;
+    
+    try {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const selection = window.getSelection();
+            const caretRange = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+            const isCaretInNode = caretRange && caretRange.startContainer === node;
+            const caret = isCaretInNode ? caretRange.startOffset : end;
+            
+            if (!insertTextWithEditor(node, start, end, text)) {
+                if (getWriteStrategy(element) === WRITE_STRATEGIES.COMMAND_ONLY) {
+                    if (caretRange) {
+                        selection.removeAllRanges();
+                        selection.addRange(caretRange);
+                    }
+                    return;
+                }
+                node.replaceData(start, end - start, text);
+                dispatchInputEvent(element, text);
+            }
+            
+            if (node.isConnected && (isCaretInNode || caretPosition !== undefined)) {
+                let newPosition = caret >= end ? caret + text.length - (end - start) : caret;
+                if (caretPosition !== undefined) {
+                    newPosition = caretPosition;
+                }
+                const range = document.createRange();
+                range.setStart(node, Math.min(newPosition, node.length));
+                range.collapse(true);
+                selection.removeAllRanges();
+                selection.addRange(range);
+            } else if (caretRange && !isCaretInNode) {
+                selection.removeAllRanges();
+                selection.addRange(caretRange);
+            }
+        } else {
+            replaceControlText(node, start, end, text, caretPosition);
+        }
+        
+        updateFieldAppearance(element);
+    } catch (e) {
+        // Element update failed
+    } finally {
+        isUpdatingInput = false;
+    }
+}
+
+/**
+ * Replace part of the value of an input or textarea and tell the page. The
+ * selection moves as with setRangeText(..., 'preserve'), or to caretPosition
+ * when one is given.
+ */
+function replaceControlText(element, start, end, text, caretPosition) {
+    const value = element.value;
+    const delta = text.length - (end - start);
+    const { selectionStart, selectionEnd } = element;
+    
+    setNativeValue(element, value.slice(0, start) + text + value.slice(end));
+    
+    if (caretPosition !== undefined) {
+        element.setSelectionRange(caretPosition, caretPosition);
+    } else {
+        const newStart = selectionStart > end ? selectionStart + delta : (selectionStart > start ? start : selectionStart);
+        const newEnd = selectionEnd > end ? selectionEnd + delta : (selectionEnd > start ? start + text.length : selectionEnd);
+        element.setSelectionRange(newStart, newEnd);
+    }
+    dispatchInputEvent(element, text);
+}
+
+/**
+ * Set the value of an input or textarea through the native setter of its
+ * prototype. Frameworks with controlled inputs (React, ...) watch the element's
+ * own value setter; going around it lets them see the change in the input event
+ * that follows, instead of putting their previous value back.
+ */
+function setNativeValue(element, value) {
+    const prototype = element.tagName.toLowerCase() === 'textarea' ?
+        HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(element, value);
+}
+
+/**
+ * Tell the page about text the content script wrote, with an input event like
+ * the browser's own for replaced text (frameworks read inputType and data)
+ */
+function dispatchInputEvent(element, text) {
+    element.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: text }));
+}
+
+/**
+ * Get the write strategy of a contenteditable, from the first matching entry
+ * of EDITOR_ADAPTERS
+ */
+function getWriteStrategy(element) {
+    const hostname = window.location.hostname;
+    const adapter = EDITOR_ADAPTERS.find(entry =>
+        (!entry.hosts || entry.hosts.some(host => hostname === host || hostname.endsWith('.' + host))) &&
+        element.closest(entry.selector));
+    return adapter ? adapter.strategy : WRITE_STRATEGIES.COMMAND;
+}
+
+/**
+ * Replace part of a text node in the focused contenteditable by selecting it and
+ * inserting the new text with execCommand, as if the user typed it. The editor
+ * then sees the usual beforeinput/input events and can undo the change.
+ * Returns false if the node is not being edited or the editor refused the edit.
+ */
+function insertTextWithEditor(node, start, end, text) {
+    const editingHost = document.activeElement;
+    if (!editingHost || !editingHost.isContentEditable || !editingHost.contains(node)) return false;
+    
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    
+    try {
+        const inserted = text ?
+            document.execCommand('insertText', false, text) :
+            document.execCommand('delete', false);
+        // Some editors apply the edit themselves from beforeinput, so check the text as well
+        return inserted || (node.isConnected && node.data.slice(start, start + text.length) === text);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Replace the selection in the focused field with text converted by the background
+ * script (context menu), leaving the caret after it. Works whether or not live
+ * transliteration is on, since the user asked for it explicitly.
+ * With canInsert, the text is inserted at the caret when nothing is selected (paste).
+ * Returns false if there is no editable selection.
+ */
+function replaceSelection(text, canInsert = false) {
+    const element = document.activeElement;
+    pendingWord = null;
+    hideCandidates();
+    
+    if (isTextControl(element)) {
+        const start = element.selectionStart;
+        if (start === null || (start === element.selectionEnd && !canInsert)) return false;
+        replaceNodeText(element, element, start, element.selectionEnd, text, start + text.length);
+        return true;
+    }
+    
+    const selection = window.getSelection();
+    if (!element || !element.isContentEditable || !selection || selection.rangeCount === 0) return false;
+    
+    const range = selection.getRangeAt(0);
+    if (range.collapsed && !canInsert) return false;
+    // Line breaks in a contenteditable are elements, which the editor inserts
+    if (range.startContainer === range.endContainer && range.startContainer.nodeType === Node.TEXT_NODE &&
+        !text.includes('\n')) {
+        replaceNodeText(element, range.startContainer, range.startOffset, range.endOffset, text, range.startOffset + text.length);
+        return true;
+    }
+    
+    // A selection across several nodes (e.g. formatted text) is replaced by the editor as a whole
+    try {
+        return document.execCommand('insertText', false, text);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Get the text of a caret node from the start of the line up to an offset,
+ * which the background script uses to tell URLs, emails, etc. apart from Arabizi
+ */
+function getLinePrefix(node, offset) {
+    const text = getNodeText(node).slice(0, offset);
+    return text.slice(text.lastIndexOf('\n') + 1);
+}
+
+/**
+ * Track the Latin characters typed for the current word and transliterate
+ * just that word, committing it when a separator is typed. Anything that is
+ * not typed Latin text (pasted text, Arabic, deletions, autocorrect
+ * replacements, text composed by an IME) is left as it is, and so are edits
+ * the page made itself after cancelling their beforeinput event.
+ */
+function handleTypedInput(event) {
+    if (isUpdatingInput) return;
+    
+    // Backspace only undoes a conversion right after it
+    undoableConversion = null;
+    
+    const beforeInput = lastBeforeInput;
+    lastBeforeInput = null;
+    const isTyped = event.inputType === 'insertText' && event.data && !isComposing && !event.isComposing &&
+        !(beforeInput && beforeInput.defaultPrevented);
+    
+    const element = event.target;
+    const context = isTyped ? getCaretContext(element) : null;
+    if (!context) {
+        pendingWord = null;
+        hideCandidates();
+        return;
+    }
+    
+    const insertedAt = context.offset - event.data.length;
+    const isSameNode = pendingWord && pendingWord.element === element && pendingWord.node === context.node;
+    
+    if (event.data.length === 1 && WORD_SEPARATOR.test(event.data)) {
+        if (isSameNode && insertedAt === pendingWord.end) {
+            commitPendingWord(pendingWord, insertedAt);
+        }
+        pendingWord = null;
+        hideCandidates();
+    } else if (!LATIN_INPUT.test(event.data) || !isLiveConversionActive(element) ||
+               continuesRestoredWord(element, context, insertedAt, event.data)) {
+        pendingWord = null;
+        hideCandidates();
+    } else {
+        // Continue the word only when typing at its end; typing anywhere else starts a new word
+        if (isSameNode && insertedAt === pendingWord.end) {
+            pendingWord.latin += event.data;
+        } else {
+            pendingWord = { element, node: context.node, latin: event.data, start: insertedAt };
+        }
+        // The word now spans its rendered Arabic plus the Latin just typed
+        pendingWord.end = context.offset;
+        transliterateActiveWord(pendingWord);
+    }
+}
+
+/**
+ * Handle an edit before the browser makes it. Typed text (insertText) is
+ * converted once it is in the field, and autocorrect replacements
+ * (insertReplacementText) are left as chosen, see handleTypedInput. Backspace
+ * (deleteContentBackward) from a virtual keyboard, which reports no key on
+ * keydown, can undo a conversion, and pasted text (insertFromPaste) is
+ * converted when the paste option is on.
+ */
+function handleBeforeInput(event) {
+    if (isUpdatingInput) return;
+    lastBeforeInput = event;
+    // The key only tells about the edit that directly follows it (see the keyup handler)
+    const key = lastKeydownKey;
+    lastKeydownKey = null;
+    
+    let isHandled = false;
+    if (event.inputType === 'deleteContentBackward' && key !== 'Backspace') {
+        isHandled = backspaceUndo && undoConversionBeforeCaret(event.target);
+    } else if (event.inputType === 'insertFromPaste' && convertPaste) {
+        isHandled = pasteTransliterated(event);
+    }
+    
+    if (isHandled) {
+        event.preventDefault();
+        lastBeforeInput = null;
+    }
+}
+
+/**
+ * Insert pasted plain text converted to Arabic instead of the paste itself.
+ * The paste is replaced while its beforeinput event is handled, so this needs
+ * the engine in the page. Returns false to let the paste happen as usual.
+ */
+function pasteTransliterated(event) {
+    const text = event.dataTransfer ? event.dataTransfer.getData('text/plain') : '';
+    if (!text || !localEngine || isFieldAutoPaused(event.target)) return false;
+    
+    const converted = localEngine.analyze(text).text;
+    return converted !== text && replaceSelection(converted, true);
+}
+
+/**
+ * In hold mode, type the letters and digits pressed while the hold key is down
+ * for the user, as converted text. The held modifier would change what those
+ * keys type (or stop them typing at all). Returns true if the key was handled.
+ */
+function handleHoldKeydown(event) {
+    if (typingMode !== TYPING_MODES.HOLD || !event.getModifierState(HOLD_KEY)) return false;
+    
+    const match = HOLD_TYPED_KEY.exec(event.code);
+    const hasOtherModifier = ['Control', 'Meta'].some(key => event.getModifierState(key));
+    if (!match || hasOtherModifier || !isInputElement(event.target)) return false;
+    
+    const letter = match[2];
+    const character = letter ? (event.shiftKey ? letter : letter.toLowerCase()) : match[3];
+    event.preventDefault();
+    
+    // The input event fired by the insertion is handled as converted typing
+    isHoldTyping = true;
+    try {
+        document.execCommand('insertText', false, character);
+    } finally {
+        isHoldTyping = false;
+    }
+    return true;
+}
+
+/**
+ * In hold mode, releasing the hold key (or leaving the field) finishes the word typed while it was held
+ */
+function commitHeldWord() {
+    const word = pendingWord;
+    pendingWord = null;
+    hideCandidates();
+    if (word) {
+        commitPendingWord(word, word.end);
+    }
+}
+
+/**
+ * Convert the Latin word before the caret (the previous-word shortcut), in any
+ * typing mode. The word gets the same final form as a word committed while
+ * typing, but is converted even if it looks like English.
+ * Returns false if there is no such word in the focused field.
+ */
+function transliteratePreviousWord() {
+    const element = document.activeElement;
+    if (!document.hasFocus() || !element || !isInputElement(element)) return false;
+    
+    const context = getCaretContext(element);
+    if (!context) return false;
+    
+    const match = /([A-Za-z0-9]+)\s*$/.exec(getNodeText(context.node).slice(0, context.offset));
+    if (!match) return false;
+    
+    pendingWord = null;
+    hideCandidates();
+    const start = match.index;
+    const end = start + match[1].length;
+    commitPendingWord({ element, node: context.node, latin: match[1], start, end }, end, true);
+    return true;
+}
+
+/**
+ * Replace the rendered text of the word being typed with the transliteration
+ * of its Latin characters, and move the caret to the end of the word.
+ * Words typed inside a URL, email, mention or code stay Latin.
+ * The word is converted synchronously by the local engine; until it has loaded,
+ * the background script converts it.
+ */
+function transliterateActiveWord(word) {
+    const latin = word.latin;
+    const linePrefix = getLinePrefix(word.node, word.start);
+    const currentText = linePrefix + latin;
+    
+    if (localEngine) {
+        applyActiveWordConversion(word, localEngine.transliterateRealTime(currentText, currentText.length));
+        return;
+    }
+    
+    chrome.runtime.sendMessage({
+        type: 'TRANSLITERATE_REAL_TIME',
+        payload: { currentText: currentText, cursorPosition: currentText.length }
+    }, (response) => {
+        // Drop stale responses; a newer request covers the characters typed since
+        if (!response || !response.payload || pendingWord !== word || word.latin !== latin) return;
+        applyActiveWordConversion(word, response.payload);
+    });
+}
+
+/**
+ * Write the conversion of the word being typed (a transliterateRealTime result)
+ * into its field, unless the caret has left the end of the word
+ */
+function applyActiveWordConversion(word, result) {
+    const context = getCaretContext(word.element);
+    if (!context || context.node !== word.node || context.offset !== word.end) return;
+    
+    const { text, newCursorPosition, segmentStart, segmentEnd, type } = result;
+    const segment = text.slice(segmentStart, segmentEnd);
+    if (getNodeText(word.node).slice(word.start, word.end) !== segment) {
+        replaceNodeText(word.element, word.node, word.start, word.end, segment,
+            word.start + newCursorPosition - segmentStart);
+    }
+    word.end = word.start + segment.length;
+    
+    if (type === 'arabizi') {
+        requestCandidates(word);
+    } else {
+        hideCandidates();
+    }
+}
+
+/**
+ * Replace a committed word with its final form (e.g. a personal dictionary entry).
+ * The local engine commits the word right away; the background script's reply then
+ * only brings in a learned choice or a lexicon correction of the Arabic word. Without
+ * the local engine, the reply commits the word.
+ */
+function commitPendingWord(word, end, force = false) {
+    checkCommittedWordEdit();
+    
+    const before = getLinePrefix(word.node, word.start);
+    const after = getNodeText(word.node).charAt(end);
+    // The text the word was last rendered as; a reply that finds anything else there is stale
+    const rendered = getNodeText(word.node).slice(word.start, end);
+    const local = localEngine ? localEngine.commitWord(word.latin, before, after, force) : null;
+    const conversion = local ? applyCommittedWord(word, end, after, rendered, local) : null;
+    
+    chrome.runtime.sendMessage({
+        action: 'commitWord',
+        word: word.latin,
+        before: before,
+        after: after,
+        force: force
+    }, (response) => {
+        if (!response || !response.text) return;
+        
+        if (conversion) {
+            reviseCommittedWord(conversion, local.text, response);
+        } else if (!local || response.type !== local.type) {
+            // Nothing was converted here (no local engine, or the word stayed Latin)
+            applyCommittedWord(word, end, after, rendered, response);
+        }
+    });
+}
+
+/**
+ * Write the final form of a committed word (a commitWord result) over the text
+ * rendered for it, with its punctuation, and remember the conversion for undo.
+ * Returns the recorded conversion, or null if the word did not become Arabic or
+ * its text was changed since it was rendered.
+ */
+function applyCommittedWord(word, end, after, rendered, result) {
+    if (word.node.nodeType === Node.TEXT_NODE && !word.node.isConnected) return null;
+    if (!rendered || WORD_SEPARATOR.test(rendered) || getNodeText(word.node).slice(word.start, end) !== rendered) return null;
+    
+    // An escaped word stays Latin and loses its prefix
+    let start = word.start;
+    if (result.type === 'escaped' && getNodeText(word.node).charAt(start - 1) === ESCAPE_PREFIX) {
+        start--;
+    }
+    
+    // Arabic punctuation: the separator typed after the word and an opening quote before it
+    const wordStart = start;
+    let replaceEnd = end;
+    let replacement = result.text;
+    let latin = word.latin;
+    const separator = getNodeText(word.node).charAt(end);
+    if (result.separator && separator === after && result.separator !== after) {
+        replaceEnd++;
+        replacement += result.separator;
+        latin += separator;
+    }
+    if (result.openingQuote && getNodeText(word.node).charAt(start - 1) === '"') {
+        start--;
+        replacement = result.openingQuote + replacement;
+        latin = '"' + latin;
+    }
+    
+    if (getNodeText(word.node).slice(start, replaceEnd) !== replacement) {
+        // A caret right after the replaced text (or separator) stays after it
+        const caret = getCaretContext(word.element);
+        const isCaretAtEnd = caret && caret.node === word.node && caret.offset === replaceEnd;
+        replaceNodeText(word.element, word.node, start, replaceEnd, replacement,
+            isCaretAtEnd ? start + replacement.length : undefined);
+    }
+    // Only Arabic words are tracked for hand corrections and undo
+    lastCommittedWord = result.type === 'arabizi' ? { ...word, text: result.text } : null;
+    if (result.type !== 'arabizi') return null;
+    
+    const conversion = {
+        element: word.element,
+        node: word.node,
+        start: start,
+        end: start + replacement.length,
+        text: replacement,
+        latin: latin,
+        word: word.latin,
+        wordStart: wordStart - start
+    };
+    recordConversion(conversion);
+    return conversion;
+}
+
+/**
+ * Replace the Arabic word of a conversion made by the local engine with the
+ * background script's final form of it (a learned choice or a lexicon word),
+ * if the conversion is still in its field exactly as it was written.
+ */
+function reviseCommittedWord(conversion, text, result) {
+    if (result.type !== 'arabizi' || result.text === text || !isConversionIntact(conversion)) return;
+    
+    const wordStart = conversion.start + conversion.wordStart;
+    const wordEnd = wordStart + text.length;
+    const shift = result.text.length - text.length;
+    const caret = getCaretContext(conversion.element);
+    replaceNodeText(conversion.element, conversion.node, wordStart, wordEnd, result.text,
+        caret && caret.node === conversion.node && caret.offset >= wordEnd ? caret.offset + shift : undefined);
+    
+    conversion.text = conversion.text.slice(0, conversion.wordStart) + result.text +
+        conversion.text.slice(conversion.wordStart + text.length);
+    conversion.end += shift;
+    if (lastCommittedWord && lastCommittedWord.node === conversion.node && lastCommittedWord.start === wordStart) {
+        lastCommittedWord.text = result.text;
+    }
+    // The word being typed after it in the same text moves with the new text
+    if (pendingWord && pendingWord.node === conversion.node && pendingWord.start >= wordEnd) {
+        pendingWord.start += shift;
+        pendingWord.end += shift;
+    }
+}
+
+/**
+ * If the user changed the last committed word by hand, report the new
+ * spelling so it can be learned
+ */
+function checkCommittedWordEdit() {
+    const word = lastCommittedWord;
+    lastCommittedWord = null;
+    if (!word || (word.node.nodeType === Node.TEXT_NODE && !word.node.isConnected)) return;
+    
+    const text = getNodeText(word.node);
+    let end = word.start;
+    while (end < text.length && !WORD_SEPARATOR.test(text[end])) {
+        end++;
+    }
+    
+    const editedWord = text.slice(word.start, end);
+    if (editedWord !== word.text && ARABIC_WORD.test(editedWord)) {
+        recordChoice(word.latin, editedWord, word.text);
+    }
+}
+
+/**
+ * Remember a committed conversion of a field so it can be undone. It is also
+ * the one Backspace undoes until something else is typed.
+ * `latin` is what the user typed for the converted text `text` (the word and any
+ * converted punctuation), and `wordStart` the offset of the word inside it.
+ */
+function recordConversion(entry) {
+    const history = conversionHistory.get(entry.element) || [];
+    history.push(entry);
+    if (history.length > MAX_CONVERSION_HISTORY) {
+        history.shift();
+    }
+    conversionHistory.set(entry.element, history);
+    undoableConversion = entry;
+}
+
+/**
+ * Put the Latin text of a conversion back, keeping a caret that was after it
+ * after the restored text. The restored word is then left in Latin while the
+ * user keeps typing at its end (see continuesRestoredWord).
+ */
+function restoreConversion(entry) {
+    const caret = getCaretContext(entry.element);
+    const caretPosition = caret && caret.node === entry.node && caret.offset >= entry.end ?
+        caret.offset + entry.latin.length - entry.text.length : undefined;
+    
+    replaceNodeText(entry.element, entry.node, entry.start, entry.end, entry.latin, caretPosition);
+    
+    const wordStart = entry.start + entry.wordStart;
+    restoredWord = { element: entry.element, node: entry.node, start: wordStart, end: wordStart + entry.word.length, latin: entry.word };
+    if (lastCommittedWord && lastCommittedWord.node === entry.node && lastCommittedWord.start === wordStart) {
+        lastCommittedWord = null;
+    }
+    undoableConversion = null;
+}
+
+/**
+ * Check if a conversion is still in its field as it was made
+ */
+function isConversionIntact(entry) {
+    if (entry.node.nodeType === Node.TEXT_NODE && !entry.node.isConnected) return false;
+    return getNodeText(entry.node).slice(entry.start, entry.end) === entry.text;
+}
+
+/**
+ * Undo the last conversion in the focused field (the undo shortcut): the word
+ * being typed goes back to its Latin letters, otherwise the newest committed
+ * word still in the field does. Pressing the shortcut again undoes the one before.
+ * Returns false if there is nothing to undo.
+ */
+function undoLastConversion() {
+    const element = document.activeElement;
+    if (!document.hasFocus() || !element || !isInputElement(element)) return false;
+    
+    const word = pendingWord;
+    if (word && word.element === element) {
+        pendingWord = null;
+        hideCandidates();
+        const context = getCaretContext(element);
+        if (context && context.node === word.node && context.offset === word.end) {
+            replaceNodeText(element, word.node, word.start, word.end, word.latin, word.start + word.latin.length);
+            restoredWord = { element, node: word.node, start: word.start, end: word.start + word.latin.length, latin: word.latin };
+            return true;
+        }
+    }
+    
+    const history = conversionHistory.get(element) || [];
+    while (history.length > 0) {
+        const entry = history.pop();
+        if (isConversionIntact(entry)) {
+            restoreConversion(entry);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Backspace right after a conversion (with the caret after the word or the
+ * separator that committed it) restores the Latin the user typed instead of
+ * deleting a letter. Returns true if the key was handled.
+ */
+function handleUndoKeydown(event) {
+    if (!backspaceUndo || event.key !== 'Backspace' || event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return false;
+    
+    if (!undoConversionBeforeCaret(event.target)) return false;
+    event.preventDefault();
+    return true;
+}
+
+/**
+ * Restore the Latin of the last conversion in an element if the caret is right
+ * after it (or after the separator that committed it). Returns true if it did.
+ */
+function undoConversionBeforeCaret(element) {
+    const entry = undoableConversion;
+    if (!entry || entry.element !== element || !isConversionIntact(entry)) return false;
+    
+    const context = getCaretContext(entry.element);
+    if (!context || context.node !== entry.node) return false;
+    
+    const text = getNodeText(entry.node);
+    const isRightAfter = context.offset === entry.end ||
+        (context.offset === entry.end + 1 && WORD_SEPARATOR.test(text.charAt(entry.end)));
+    if (!isRightAfter) return false;
+    
+    // The undo shortcut drops entries that are not intact, and the text can be put back
+    // afterwards, so the entry may no longer be in the history.
+    const history = conversionHistory.get(entry.element) || [];
+    const index = history.indexOf(entry);
+    if (index !== -1) {
+        history.splice(index, 1);
+    }
+    restoreConversion(entry);
+    return true;
+}
+
+/**
+ * Check if Latin typed at the end of a word restored by undo continues it. The
+ * word is then extended and stays in Latin instead of being converted again.
+ */
+function continuesRestoredWord(element, context, insertedAt, data) {
+    const word = restoredWord;
+    if (!word || word.element !== element || word.node !== context.node || insertedAt !== word.end) return false;
+    
+    if (getNodeText(context.node).slice(word.start, word.end) !== word.latin) {
+        restoredWord = null;
+        return false;
+    }
+    word.latin += data;
+    word.end = context.offset;
+    return true;
+}
+
+/**
+ * Tell the background script which spelling the user chose for a Latin word
+ */
+function recordChoice(latin, text, original) {
+    chrome.runtime.sendMessage({
+        action: 'recordChoice',
+        word: latin,
+        text: text,
+        original: original
+    }, () => {
+        // Nothing to update in the page
+    });
+}
+
+/**
+ * Ask the background script for ranked spellings of the word being typed
+ */
+function requestCandidates(word) {
+    const latin = word.latin;
+    
+    chrome.runtime.sendMessage({
+        action: 'getCandidates',
+        word: latin
+    }, (response) => {
+        // Ignore stale responses for a word that has changed meanwhile
+        if (pendingWord !== word || word.latin !== latin) return;
+        
+        if (response && response.candidates && response.candidates.length > 1) {
+            showCandidates(word, response.candidates.map(candidate => candidate.text));
+        } else {
+            hideCandidates();
+        }
+    });
+}
+
+/**
+ * Get the viewport position of the caret in an element
+ */
+function getCaretRect(element, offset) {
+    const elementRect = element.getBoundingClientRect();
+    
+    if (!isTextControl(element)) {
+        const selection = window.getSelection();
+        const rect = selection.rangeCount > 0 ? selection.getRangeAt(0).getBoundingClientRect() : null;
+        return rect && rect.height ? rect : elementRect;
+    }
+    
+    // Measure the caret with a hidden mirror element styled like the text control
+    const style = window.getComputedStyle(element);
+    const mirror = document.createElement('div');
+    [
+        'boxSizing', 'width', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+        'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'fontStyle', 'fontVariant',
+        'fontWeight', 'fontSize', 'fontFamily', 'lineHeight', 'letterSpacing', 'wordSpacing',
+        'textAlign', 'textTransform', 'textIndent', 'direction'
+    ].forEach(property => {
+        mirror.style[property] = style[property];
+    });
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.top = '0';
+    mirror.style.left = '-9999px';
+    mirror.style.whiteSpace = element.tagName.toLowerCase() === 'textarea' ? 'pre-wrap' : 'pre';
+    mirror.style.overflowWrap = 'break-word';
+    mirror.textContent = element.value.substring(0, offset);
+    
+    const marker = document.createElement('span');
+    marker.textContent = element.value.substring(offset) || '.';
+    mirror.appendChild(marker);
+    document.body.appendChild(mirror);
+    
+    const lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+    const left = elementRect.left + marker.offsetLeft - element.scrollLeft;
+    const top = elementRect.top + marker.offsetTop - element.scrollTop;
+    mirror.remove();
+    
+    return { left, top, bottom: top + lineHeight };
+}
+
+/**
+ * Create the floating candidate list (isolated from page styles in a shadow root)
+ */
+function createCandidateList() {
+    const host = document.createElement('div');
+    host.setAttribute('data-harfsync', 'candidates');
+    host.style.cssText = 'position: fixed; z-index: 2147483647; display: none;';
+    
+    const shadow = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = `
+        ol { margin: 0; padding: 4px 0; list-style: none; background: #fff; color: #333;
+             border: 1px solid #dadce0; border-radius: 5px; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+             font: 16px 'Segoe UI', Tahoma, sans-serif; min-width: 120px; }
+        li { display: flex; align-items: center; gap: 8px; padding: 3px 10px; cursor: pointer; }
+        li.selected { background: #e94f37; color: #fff; }
+        .index { font-size: 11px; opacity: 0.6; }
+        .text { direction: rtl; }
+    `;
+    const list = document.createElement('ol');
+    shadow.append(style, list);
+    document.documentElement.appendChild(host);
+    
+    return { host, list, word: null, candidates: [], selectedIndex: -1 };
+}
+
+/**
+ * Show ranked candidates for the word being typed, anchored at the caret
+ */
+function showCandidates(word, candidates) {
+    const context = getCaretContext(word.element);
+    if (!context || context.node !== word.node) {
+        hideCandidates();
+        return;
+    }
+    
+    if (!candidateList || !candidateList.host.isConnected) {
+        candidateList = createCandidateList();
+    }
+    
+    candidateList.word = word;
+    candidateList.candidates = candidates;
+    candidateList.selectedIndex = -1;
+    
+    candidateList.list.replaceChildren(...candidates.map((candidate, index) => {
+        const item = document.createElement('li');
+        const number = document.createElement('span');
+        number.className = 'index';
+        number.textContent = String(index + 1);
+        const text = document.createElement('span');
+        text.className = 'text';
+        text.textContent = candidate;
+        item.append(number, text);
+        
+        // Keep focus in the field while picking with the mouse
+        item.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+            pickCandidate(index);
+        });
+        return item;
+    }));
+    
+    const rect = getCaretRect(word.element, context.offset);
+    candidateList.host.style.left = `${Math.max(0, rect.left)}px`;
+    candidateList.host.style.top = `${rect.bottom + 4}px`;
+    candidateList.host.style.display = 'block';
+}
+
+/**
+ * Hide the candidate list
+ */
+function hideCandidates() {
+    if (!candidateList) return;
+    
+    candidateList.host.style.display = 'none';
+    candidateList.word = null;
+    candidateList.candidates = [];
+    candidateList.selectedIndex = -1;
+}
+
+/**
+ * Check if the candidate list is showing
+ */
+function isCandidateListVisible() {
+    return Boolean(candidateList && candidateList.word);
+}
+
+/**
+ * Highlight a candidate in the list
+ */
+function selectCandidate(index) {
+    const count = candidateList.candidates.length;
+    candidateList.selectedIndex = (index + count) % count;
+    
+    Array.from(candidateList.list.children).forEach((item, itemIndex) => {
+        item.classList.toggle('selected', itemIndex === candidateList.selectedIndex);
+    });
+}
+
+/**
+ * Replace the word being typed with the chosen candidate
+ */
+function pickCandidate(index) {
+    const word = candidateList.word;
+    const candidate = candidateList.candidates[index];
+    hideCandidates();
+    if (!word || !candidate) return;
+    
+    const context = getCaretContext(word.element);
+    if (!context || context.node !== word.node || context.offset <= word.start) return;
+    
+    replaceNodeText(word.element, word.node, word.start, context.offset, candidate);
+    recordChoice(word.latin, candidate);
+    pendingWord = null;
+}
+
+/**
+ * Keyboard navigation of the candidate list: arrows move the highlight, then
+ * Enter or a number key picks a candidate, and Escape closes the list.
+ * Number keys only pick once the list is being navigated, since digits are
+ * also Arabizi letters.
+ */
+function handleCandidateKeydown(event) {
+    if (!isCandidateListVisible() || event.target !== candidateList.word.element) return;
+    
+    const isNavigating = candidateList.selectedIndex >= 0;
+    let handled = true;
+    
+    if (event.key === 'ArrowDown') {
+        selectCandidate(candidateList.selectedIndex + 1);
+    } else if (event.key === 'ArrowUp') {
+        selectCandidate(isNavigating ? candidateList.selectedIndex - 1 : -1);
+    } else if (event.key === 'Enter' && isNavigating) {
+        pickCandidate(candidateList.selectedIndex);
+    } else if (/^[1-9]$/.test(event.key) && isNavigating &&
+               Number(event.key) <= candidateList.candidates.length) {
+        pickCandidate(Number(event.key) - 1);
+    } else if (event.key === 'Escape') {
+        hideCandidates();
+    } else {
+        handled = false;
+    }
+    
+    if (handled) {
+        event.preventDefault();
+        event.stopPropagation();
+    }
+}
+
 /**
  * Get current text from element
  */
@@ -190,7 +1319,8 @@ function getCurrentText(element) {
 }
 
 /**
- * Update element with transliterated text
+ * Update a text control (input or textarea) with transliterated text.
+ * Contenteditable elements are updated node by node, see processElement.
  */
 function updateElementText(element, transliteratedText) {
     if (isUpdatingInput) return;
@@ -200,47 +1330,17 @@ function updateElementText(element, transliteratedText) {
     try {
         if (element.tagName.toLowerCase() === 'input' || element.tagName.toLowerCase() === 'textarea') {
             const cursorPosition = element.selectionStart || transliteratedText.length;
-            element.value = transliteratedText;
+            setNativeValue(element, transliteratedText);
             
             // Restore cursor position
             const newPosition = Math.min(cursorPosition, transliteratedText.length);
             element.setSelectionRange(newPosition, newPosition);
             
             // Trigger events
-            ['input', 'change'].forEach(eventType => {
-                const event = new Event(eventType, { bubbles: true });
-                element.dispatchEvent(event);
-            });
-        } else if (element.isContentEditable) {
-            const selection = window.getSelection();
-            const cursorPosition = selection.rangeCount > 0 ? 
-                selection.getRangeAt(0).startOffset : transliteratedText.length;
+            dispatchInputEvent(element, transliteratedText);
+            element.dispatchEvent(new Event('change', { bubbles: true }));
             
-            element.textContent = transliteratedText;
-            
-            // Restore cursor position
-            try {
-                const range = document.createRange();
-                const textNode = element.firstChild || element;
-                const newPosition = Math.min(cursorPosition, transliteratedText.length);
-                
-                if (textNode.nodeType === Node.TEXT_NODE) {
-                    range.setStart(textNode, newPosition);
-                    range.setEnd(textNode, newPosition);
-                } else {
-                    range.selectNodeContents(element);
-                    range.collapse(false);
-                }
-                
-                selection.removeAllRanges();
-                selection.addRange(range);
-            } catch (e) {
-                // Cursor restoration failed, continue
-            }
-            
-            // Trigger input event
-            const event = new Event('input', { bubbles: true });
-            element.dispatchEvent(event);
+            updateFieldAppearance(element);
         }
     } catch (e) {
         // Element update failed
@@ -250,16 +1350,108 @@ function updateElementText(element, transliteratedText) {
 }
 
 /**
- * Process all input elements on page
+ * Set the direction of an edited field from its text (rtl when it is mostly
+ * Arabic, auto otherwise) and mark fields containing Arabic for the optional
+ * Arabic font. The original direction is restored by restoreFieldAppearance.
  */
-function processPage() {
-    if (!isTransliteratorEnabled) return;
+function updateFieldAppearance(element) {
+    const text = getCurrentText(element);
+    const arabicCount = (text.match(ARABIC_LETTER) || []).length;
+    const latinCount = (text.match(LATIN_LETTER) || []).length;
     
-    const inputElements = findInputElements();
-    inputElements.forEach(element => {
-        if (getCurrentText(element)) {
-            processElement(element);
+    if (!editedFields.has(element)) {
+        editedFields.set(element, element.getAttribute('dir'));
+    }
+    element.setAttribute('dir', arabicCount > latinCount ? 'rtl' : 'auto');
+    
+    if (useArabicFont && arabicCount > 0) {
+        if (!element.hasAttribute(ARABIC_FONT_ATTRIBUTE)) {
+            // Keep the field's own font for non-Arabic text
+            element.style.setProperty('--harfsync-original-font', getComputedStyle(element).fontFamily);
+            element.setAttribute(ARABIC_FONT_ATTRIBUTE, '');
+        }
+    } else if (element.hasAttribute(ARABIC_FONT_ATTRIBUTE)) {
+        element.removeAttribute(ARABIC_FONT_ATTRIBUTE);
+        element.style.removeProperty('--harfsync-original-font');
+    }
+}
+
+/**
+ * Give every edited field its original direction back and remove the Arabic font marks
+ */
+function restoreFieldAppearance() {
+    editedFields.forEach((dir, element) => {
+        if (dir === null) {
+            element.removeAttribute('dir');
+        } else {
+            element.setAttribute('dir', dir);
         }
+        element.removeAttribute(ARABIC_FONT_ATTRIBUTE);
+        element.style.removeProperty('--harfsync-original-font');
+    });
+    editedFields.clear();
+}
+
+/**
+ * Add or remove the stylesheet with the Arabic font (assets/styles.css)
+ */
+function updateArabicFontStyle() {
+    let link = document.querySelector('link[data-harfsync="styles"]');
+    
+    if (useArabicFont && !link) {
+        link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = chrome.runtime.getURL('assets/styles.css');
+        link.setAttribute('data-harfsync', 'styles');
+        (document.head || document.documentElement).appendChild(link);
+    } else if (!useArabicFont && link) {
+        link.remove();
+    }
+}
+
+/**
+ * Apply stored options; only the keys present in `values` change
+ */
+function applySettings(values) {
+    if (STORAGE_KEY_ARABIC_FONT in values) {
+        useArabicFont = Boolean(values[STORAGE_KEY_ARABIC_FONT]);
+        updateArabicFontStyle();
+    }
+    if (STORAGE_KEY_TYPING_MODE in values) {
+        typingMode = Object.values(TYPING_MODES).includes(values[STORAGE_KEY_TYPING_MODE]) ?
+            values[STORAGE_KEY_TYPING_MODE] : TYPING_MODES.LIVE;
+        pendingWord = null;
+        hideCandidates();
+    }
+    if (STORAGE_KEY_AUTO_PAUSE in values) {
+        autoPause = values[STORAGE_KEY_AUTO_PAUSE] !== false;
+    }
+    if (STORAGE_KEY_BACKSPACE_UNDO in values) {
+        backspaceUndo = values[STORAGE_KEY_BACKSPACE_UNDO] !== false;
+    }
+    if (STORAGE_KEY_CONVERT_PASTE in values) {
+        convertPaste = values[STORAGE_KEY_CONVERT_PASTE] === true;
+    }
+}
+
+/**
+ * Read the options set on the options page (Arabic font, typing mode,
+ * auto-pause, Backspace undo, paste) and keep them up to date
+ */
+function loadSettings() {
+    const keys = [STORAGE_KEY_ARABIC_FONT, STORAGE_KEY_TYPING_MODE, STORAGE_KEY_AUTO_PAUSE,
+        STORAGE_KEY_BACKSPACE_UNDO, STORAGE_KEY_CONVERT_PASTE];
+    chrome.storage.sync.get(keys, (result) => {
+        if (result) applySettings(result);
+    });
+    
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'sync') return;
+        const values = {};
+        keys.filter(key => changes[key]).forEach(key => {
+            values[key] = changes[key].newValue;
+        });
+        applySettings(values);
     });
 }
 
@@ -270,8 +1462,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
         case 'toggle':
             isTransliteratorEnabled = message.enabled;
-            if (isTransliteratorEnabled) {
-                processPage();
+            fieldSelectors = message.fieldSelectors || fieldSelectors;
+            pendingWord = null;
+            if (!isTransliteratorEnabled) {
+                hideCandidates();
+                restoreFieldAppearance();
             }
             sendResponse({ success: true });
             break;
@@ -283,6 +1478,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             });
             break;
             
+        case 'transliteratePreviousWord':
+            sendResponse({ success: isTransliteratorEnabled && transliteratePreviousWord() });
+            break;
+            
+        case 'undoTransliteration':
+            sendResponse({ success: isTransliteratorEnabled && undoLastConversion() });
+            break;
+            
+        case 'replaceSelection':
+            sendResponse({ success: replaceSelection(message.text) });
+            break;
+            
         case 'processCurrentElement':
             if (lastProcessedElement && isTransliteratorEnabled) {
                 processElement(lastProcessedElement);
@@ -296,6 +1503,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep message channel open for async response
 });
 
+/**
+ * Use an engine running in the page to convert the word being typed
+ * (see content-scripts/local-engine.js)
+ */
+function setLocalEngine(engine) {
+    localEngine = engine;
+}
+
+/**
+ * Load the engine into the page. Content scripts cannot be modules, so the
+ * module is imported from the extension's web-accessible resources.
+ */
+function loadLocalEngine() {
+    import(chrome.runtime.getURL(LOCAL_ENGINE_PATH))
+        .then(module => module.createLocalEngine(chrome.storage))
+        .then(setLocalEngine)
+        .catch(() => {
+            // Words keep being converted by the background script
+        });
+}
+
 /**
  * Initialize content script
  */
@@ -305,14 +1533,12 @@ function initializeContentScript() {
     chrome.runtime.sendMessage({ action: 'getState' }, (response) => {
         if (response) {
             isTransliteratorEnabled = response.enabled || false;
+            fieldSelectors = response.fieldSelectors || [];
             
             // Set up event listeners
             attachEventListeners();
-            
-            // Process page if enabled
-            if (isTransliteratorEnabled) {
-                setTimeout(processPage, 500);
-            }
+            loadSettings();
+            loadLocalEngine();
             
             initializationComplete = true;
         }
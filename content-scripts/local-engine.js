@@ -0,0 +1,28 @@
+// local-engine.js
+// The transliteration engine as run inside pages. content.js imports this module (it is a
+// web-accessible resource) so the word being typed is converted synchronously, without a
+// message to the service worker per keystroke. The engine follows the same stored options
+// as the one in background.js, and picks up their changes through chrome.storage.onChanged.
+
+import { ArabicTransliterator } from '../background/transliteration-rules.js';
+import { TokenClassifier } from '../background/token-classifier.js';
+import { ENGLISH_WORDS } from '../background/data/english-words.js';
+import { applyEngineSettings, readEngineSettings, getChangedEngineSettings } from '../background/engine-settings.js';
+
+/**
+ * Creates an engine set up from the stored options and kept up to date with them.
+ * @param {object} storage - The chrome.storage namespace.
+ * @returns {Promise<ArabicTransliterator>} - The engine, once the options are applied.
+ */
+async function createLocalEngine(storage) {
+    const transliterator = new ArabicTransliterator();
+    transliterator.setClassifier(new TokenClassifier(ENGLISH_WORDS));
+
+    applyEngineSettings(transliterator, await readEngineSettings(storage));
+    storage.onChanged.addListener((changes, areaName) => {
+        applyEngineSettings(transliterator, getChangedEngineSettings(changes, areaName));
+    });
+    return transliterator;
+}
+
+export { createLocalEngine };
@@ -0,0 +1,644 @@
+// options.js
+// This script runs on the extension's options page.
+// It lets the user manage custom character rules, personal dictionary entries and
+// per-site rules, which are stored in chrome.storage.sync and picked up by the
+// background script, choose whether the on/off toggle applies per tab and whether
+// fields use an Arabic font, and view, export or clear the spellings the background
+// script has learned.
+
+document.addEventListener('DOMContentLoaded', () => {
+    // Storage keys shared with background.js.
+    const STORAGE_KEY_CUSTOM_RULES = 'translit_custom_rules';
+    const STORAGE_KEY_DICTIONARY = 'translit_dictionary';
+    const STORAGE_KEY_SITE_RULES = 'translit_site_rules';
+    const STORAGE_KEY_TOGGLE_SCOPE = 'translit_toggle_scope';
+    const STORAGE_KEY_ARABIC_PUNCTUATION = 'translit_arabic_punctuation';
+    const STORAGE_KEY_NUMERAL_MODE = 'translit_numeral_mode';
+    // Storage keys shared with content.js.
+    const STORAGE_KEY_ARABIC_FONT = 'translit_arabic_font';
+    const STORAGE_KEY_TYPING_MODE = 'translit_typing_mode';
+    const STORAGE_KEY_AUTO_PAUSE = 'translit_auto_pause';
+    const STORAGE_KEY_BACKSPACE_UNDO = 'translit_backspace_undo';
+    const STORAGE_KEY_CONVERT_PASTE = 'translit_convert_paste';
+
+    // Latin keys may only contain letters and Arabizi digits.
+    const LATIN_KEY_PATTERN = /^[A-Za-z0-9]+$/;
+
+    const rulesList = document.getElementById('rules-list');
+    const rulesStatus = document.getElementById('rules-status');
+    const dictionaryList = document.getElementById('dictionary-list');
+    const dictionaryStatus = document.getElementById('dictionary-status');
+    const learnedList = document.getElementById('learned-list');
+    const learnedStatus = document.getElementById('learned-status');
+    const siteModeSelect = document.getElementById('siteModeSelect');
+    const sitesList = document.getElementById('sites-list');
+    const selectorsList = document.getElementById('selectors-list');
+    const sitesStatus = document.getElementById('sites-status');
+    const toggleScopeSelect = document.getElementById('toggleScopeSelect');
+    const typingModeSelect = document.getElementById('typingModeSelect');
+    const autoPauseCheckbox = document.getElementById('autoPauseCheckbox');
+    const backspaceUndoCheckbox = document.getElementById('backspaceUndoCheckbox');
+    const convertPasteCheckbox = document.getElementById('convertPasteCheckbox');
+    const arabicFontCheckbox = document.getElementById('arabicFontCheckbox');
+    const arabicPunctuationCheckbox = document.getElementById('arabicPunctuationCheckbox');
+    const numeralModeSelect = document.getElementById('numeralModeSelect');
+    const cheatSheetSearch = document.getElementById('cheatSheetSearch');
+    const cheatSheet = document.getElementById('cheat-sheet');
+    const cheatSheetStatus = document.getElementById('cheatsheet-status');
+
+    // In-memory copies of the stored entries, edited in place by the UI.
+    let customRules = [];
+    let dictionary = [];
+    let learnedEntries = [];
+    let siteRules = { mode: 'blocklist', blocked: [], allowed: [], fieldSelectors: [] };
+    // Rules the transliterator applies, from the background script, and the active profile's name.
+    let activeRules = [];
+    let profileName = '';
+
+    /**
+     * Shows a status message below a section.
+     * @param {HTMLElement} statusElement - The status element of the section.
+     * @param {string} text - The message to show.
+     * @param {boolean} isError - True to style the message as an error.
+     */
+    function showStatus(statusElement, text, isError) {
+        statusElement.textContent = text;
+        statusElement.className = 'status ' + (isError ? 'status-error' : 'status-success');
+    }
+
+    /**
+     * Creates a small button for an entry row.
+     * @param {string} label - The button text.
+     * @param {string} title - The button tooltip.
+     * @param {Function} onClick - The click handler.
+     * @returns {HTMLButtonElement} - The button.
+     */
+    function createRowButton(label, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Creates an editable row for a Latin → Arabic entry.
+     * @param {{latin: string, arabic: string}} entry - The entry, updated as the user types.
+     * @param {Array<HTMLButtonElement>} buttons - The row's action buttons.
+     * @returns {HTMLElement} - The row element.
+     */
+    function createEntryRow(entry, buttons) {
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+
+        const latinInput = document.createElement('input');
+        latinInput.type = 'text';
+        latinInput.placeholder = 'Latin';
+        latinInput.value = entry.latin;
+        latinInput.addEventListener('input', () => {
+            entry.latin = latinInput.value.trim();
+        });
+
+        const arrow = document.createElement('span');
+        arrow.className = 'arrow';
+        arrow.textContent = '→';
+
+        const arabicInput = document.createElement('input');
+        arabicInput.type = 'text';
+        arabicInput.className = 'arabic';
+        arabicInput.lang = 'ar';
+        arabicInput.placeholder = 'Arabic';
+        arabicInput.value = entry.arabic;
+        arabicInput.addEventListener('input', () => {
+            entry.arabic = arabicInput.value.trim();
+        });
+
+        row.append(latinInput, arrow, arabicInput, ...buttons);
+        return row;
+    }
+
+    /**
+     * Renders the custom rule list with move up/down and delete buttons. Rules are
+     * tried from the top of the list, so their order decides which overlapping rule applies.
+     */
+    function renderRules() {
+        rulesList.replaceChildren(...customRules.map((rule, index) => createEntryRow(rule, [
+            createRowButton('↑', 'Move up', () => moveRule(index, -1)),
+            createRowButton('↓', 'Move down', () => moveRule(index, 1)),
+            createRowButton('✕', 'Delete', () => {
+                customRules.splice(index, 1);
+                renderRules();
+            })
+        ])));
+    }
+
+    /**
+     * Moves a custom rule up or down in the list.
+     * @param {number} index - The rule's current index.
+     * @param {number} offset - -1 to move up, 1 to move down.
+     */
+    function moveRule(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= customRules.length) return;
+
+        [customRules[index], customRules[target]] = [customRules[target], customRules[index]];
+        renderRules();
+    }
+
+    /**
+     * Renders the personal dictionary list with delete buttons.
+     */
+    function renderDictionary() {
+        dictionaryList.replaceChildren(...dictionary.map((entry, index) => createEntryRow(entry, [
+            createRowButton('✕', 'Delete', () => {
+                dictionary.splice(index, 1);
+                renderDictionary();
+            })
+        ])));
+    }
+
+    /**
+     * Validates a list of entries before saving.
+     * @param {Array<{latin: string, arabic: string}>} entries - The entries to check.
+     * @param {boolean} caseSensitive - False if keys differing only in case count as duplicates.
+     * @returns {string|null} - An error message, or null if all entries are valid.
+     */
+    function validateEntries(entries, caseSensitive) {
+        const seen = new Set();
+        for (const entry of entries) {
+            if (!LATIN_KEY_PATTERN.test(entry.latin)) {
+                return `"${entry.latin}" is not valid: use Latin letters and digits only, without spaces.`;
+            }
+            if (!entry.arabic) {
+                return `"${entry.latin}" has no Arabic text.`;
+            }
+
+            const key = caseSensitive ? entry.latin : entry.latin.toLowerCase();
+            if (seen.has(key)) {
+                return `"${entry.latin}" is listed more than once.`;
+            }
+            seen.add(key);
+        }
+        return null;
+    }
+
+    /**
+     * Validates and saves a list of entries to sync storage.
+     * @param {string} storageKey - The storage key to write.
+     * @param {Array<{latin: string, arabic: string}>} entries - The entries to save.
+     * @param {boolean} caseSensitive - Whether Latin keys are case-sensitive.
+     * @param {HTMLElement} statusElement - Where to report the result.
+     */
+    async function saveEntries(storageKey, entries, caseSensitive, statusElement) {
+        const error = validateEntries(entries, caseSensitive);
+        if (error) {
+            showStatus(statusElement, error, true);
+            return;
+        }
+
+        try {
+            await chrome.storage.sync.set({
+                [storageKey]: entries.map(entry => ({ latin: entry.latin, arabic: entry.arabic }))
+            });
+            showStatus(statusElement, 'Saved.', false);
+        } catch (error) {
+            console.error('[Options] Error saving entries:', error);
+            showStatus(statusElement, 'Could not save: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Loads the stored rules and dictionary and renders them.
+     */
+    async function loadEntries() {
+        try {
+            const result = await chrome.storage.sync.get([STORAGE_KEY_CUSTOM_RULES, STORAGE_KEY_DICTIONARY]);
+            customRules = result[STORAGE_KEY_CUSTOM_RULES] || [];
+            dictionary = result[STORAGE_KEY_DICTIONARY] || [];
+        } catch (error) {
+            console.error('[Options] Error loading entries:', error);
+        }
+
+        renderRules();
+        renderDictionary();
+    }
+
+    /**
+     * Creates an editable row for a single text value with a delete button.
+     * @param {Array<string>} values - The list holding the value, updated as the user types.
+     * @param {number} index - The value's index in the list.
+     * @param {string} placeholder - The input placeholder.
+     * @param {Function} render - Re-renders the list after a deletion.
+     * @returns {HTMLElement} - The row element.
+     */
+    function createValueRow(values, index, placeholder, render) {
+        const row = document.createElement('div');
+        row.className = 'entry-row';
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = placeholder;
+        input.value = values[index];
+        input.addEventListener('input', () => {
+            values[index] = input.value.trim();
+        });
+
+        row.append(input, createRowButton('✕', 'Delete', () => {
+            values.splice(index, 1);
+            render();
+        }));
+        return row;
+    }
+
+    /**
+     * Returns the site list edited in the selected mode.
+     * @returns {Array<string>} - The blocked or the allowed sites.
+     */
+    function getActiveSiteList() {
+        return siteRules.mode === 'allowlist' ? siteRules.allowed : siteRules.blocked;
+    }
+
+    /**
+     * Renders the site rule mode, the site list of that mode and the field selectors.
+     */
+    function renderSiteRules() {
+        siteModeSelect.value = siteRules.mode;
+        const sites = getActiveSiteList();
+        sitesList.replaceChildren(...sites.map((site, index) =>
+            createValueRow(sites, index, 'example.com', renderSiteRules)));
+        selectorsList.replaceChildren(...siteRules.fieldSelectors.map((selector, index) =>
+            createValueRow(siteRules.fieldSelectors, index, 'input[name="username"]', renderSiteRules)));
+    }
+
+    /**
+     * Validates the site rules before saving (empty values are dropped first).
+     * @returns {string|null} - An error message, or null if the rules are valid.
+     */
+    function validateSiteRules() {
+        const site = getActiveSiteList().find(site => /\s/.test(site));
+        if (site) {
+            return `"${site}" is not a valid site: remove the spaces.`;
+        }
+
+        for (const selector of siteRules.fieldSelectors) {
+            try {
+                document.createDocumentFragment().querySelector(selector);
+            } catch (error) {
+                return `"${selector}" is not a valid CSS selector.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Loads the stored site rules and renders them.
+     */
+    async function loadSiteRules() {
+        try {
+            const result = await chrome.storage.sync.get(STORAGE_KEY_SITE_RULES);
+            siteRules = { ...siteRules, ...result[STORAGE_KEY_SITE_RULES] };
+        } catch (error) {
+            console.error('[Options] Error loading site rules:', error);
+        }
+
+        renderSiteRules();
+    }
+
+    /**
+     * Validates and saves the site rules to sync storage.
+     */
+    async function saveSiteRules() {
+        siteRules.blocked = siteRules.blocked.filter(Boolean);
+        siteRules.allowed = siteRules.allowed.filter(Boolean);
+        siteRules.fieldSelectors = siteRules.fieldSelectors.filter(Boolean);
+
+        const error = validateSiteRules();
+        if (error) {
+            showStatus(sitesStatus, error, true);
+            return;
+        }
+
+        try {
+            await chrome.storage.sync.set({ [STORAGE_KEY_SITE_RULES]: siteRules });
+            renderSiteRules();
+            showStatus(sitesStatus, 'Saved.', false);
+        } catch (error) {
+            console.error('[Options] Error saving site rules:', error);
+            showStatus(sitesStatus, 'Could not save: ' + error.message, true);
+        }
+    }
+
+    /**
+     * Loads the toggle scope (kept in local storage, like the on/off state) and selects it.
+     */
+    async function loadToggleScope() {
+        try {
+            const result = await chrome.storage.local.get(STORAGE_KEY_TOGGLE_SCOPE);
+            toggleScopeSelect.value = result[STORAGE_KEY_TOGGLE_SCOPE] || 'global';
+        } catch (error) {
+            console.error('[Options] Error loading toggle scope:', error);
+        }
+    }
+
+    /**
+     * Loads the typing mode, auto-pause, Backspace undo and paste options and shows them.
+     */
+    async function loadTypingModeSettings() {
+        try {
+            const result = await chrome.storage.sync.get([
+                STORAGE_KEY_TYPING_MODE, STORAGE_KEY_AUTO_PAUSE, STORAGE_KEY_BACKSPACE_UNDO, STORAGE_KEY_CONVERT_PASTE
+            ]);
+            typingModeSelect.value = result[STORAGE_KEY_TYPING_MODE] || 'live';
+            autoPauseCheckbox.checked = result[STORAGE_KEY_AUTO_PAUSE] !== false;
+            backspaceUndoCheckbox.checked = result[STORAGE_KEY_BACKSPACE_UNDO] !== false;
+            convertPasteCheckbox.checked = result[STORAGE_KEY_CONVERT_PASTE] === true;
+        } catch (error) {
+            console.error('[Options] Error loading typing mode settings:', error);
+        }
+    }
+
+    /**
+     * Loads the Arabic font option and checks the box accordingly.
+     */
+    async function loadDisplaySettings() {
+        try {
+            const result = await chrome.storage.sync.get(STORAGE_KEY_ARABIC_FONT);
+            arabicFontCheckbox.checked = Boolean(result[STORAGE_KEY_ARABIC_FONT]);
+        } catch (error) {
+            console.error('[Options] Error loading display settings:', error);
+        }
+    }
+
+    /**
+     * Loads the punctuation and numeral options and shows them.
+     */
+    async function loadTypingSettings() {
+        try {
+            const result = await chrome.storage.sync.get([STORAGE_KEY_ARABIC_PUNCTUATION, STORAGE_KEY_NUMERAL_MODE]);
+            arabicPunctuationCheckbox.checked = result[STORAGE_KEY_ARABIC_PUNCTUATION] === true;
+            numeralModeSelect.value = result[STORAGE_KEY_NUMERAL_MODE] || 'arabizi';
+        } catch (error) {
+            console.error('[Options] Error loading punctuation and numeral settings:', error);
+        }
+    }
+
+    /**
+     * Creates a cheat sheet entry; clicking it copies the Latin key.
+     * @param {{latin: string, arabic: string, alternatives: Array<string>, vowel: string|null}} rule - The rule.
+     * @returns {HTMLButtonElement} - The entry.
+     */
+    function createCheatEntry(rule) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cheat-entry';
+
+        const latin = document.createElement('span');
+        latin.className = 'latin';
+        latin.textContent = rule.latin;
+
+        const arabic = document.createElement('span');
+        arabic.className = 'arabic';
+        arabic.lang = 'ar';
+        arabic.textContent = rule.arabic;
+
+        const details = [];
+        if (rule.alternatives.length > 0) {
+            details.push('Also: ' + rule.alternatives.join(' '));
+        }
+        if (rule.vowel) {
+            details.push(rule.vowel === 'long' ? 'Long vowel' : 'Short vowel, written at the start and end of a word');
+        }
+        button.title = details.join('\n');
+
+        button.append(latin, arabic);
+        button.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(rule.latin);
+                showStatus(cheatSheetStatus, `Copied "${rule.latin}".`, false);
+            } catch (error) {
+                showStatus(cheatSheetStatus, 'Could not copy.', true);
+            }
+        });
+        return button;
+    }
+
+    /**
+     * Renders the cheat sheet, grouped by where the rules come from and filtered by the search box.
+     */
+    function renderCheatSheet() {
+        const query = cheatSheetSearch.value.trim().toLowerCase();
+        const matches = activeRules.filter(rule => !query ||
+            rule.latin.toLowerCase().includes(query) || rule.arabic.includes(query) ||
+            rule.alternatives.some(alternative => alternative.includes(query)));
+
+        const groups = [
+            { title: 'Custom rules', rules: matches.filter(rule => rule.source === 'custom') },
+            { title: `Dialect: ${profileName}`, rules: matches.filter(rule => rule.source === 'profile') },
+            { title: 'Letters', rules: matches.filter(rule => rule.source === 'base' && !rule.vowel) },
+            { title: 'Vowels', rules: matches.filter(rule => rule.source === 'base' && rule.vowel) }
+        ].filter(group => group.rules.length > 0);
+
+        cheatSheet.replaceChildren(...groups.map(group => {
+            const section = document.createElement('div');
+            const title = document.createElement('h3');
+            title.textContent = group.title;
+            const grid = document.createElement('div');
+            grid.className = 'cheat-grid';
+            grid.append(...group.rules.map(createCheatEntry));
+            section.append(title, grid);
+            return section;
+        }));
+    }
+
+    /**
+     * Fetches the rules the transliterator applies and renders the cheat sheet.
+     */
+    function loadCheatSheet() {
+        chrome.runtime.sendMessage({ type: 'GET_RULES' }, (response) => {
+            if (chrome.runtime.lastError || !response || response.type !== 'RULES_RESPONSE') {
+                showStatus(cheatSheetStatus, 'Could not load the rules.', true);
+                return;
+            }
+            activeRules = response.rules;
+            profileName = response.profileName;
+            renderCheatSheet();
+        });
+    }
+
+    /**
+     * Renders the learned words, most recently used first.
+     */
+    function renderLearned() {
+        learnedList.replaceChildren(...learnedEntries.map(entry => {
+            const row = document.createElement('div');
+            row.className = 'learned-row';
+
+            const latin = document.createElement('span');
+            latin.className = 'latin';
+            latin.textContent = entry.latin;
+
+            const choices = document.createElement('span');
+            choices.className = 'choices';
+            entry.choices.forEach((choice, index) => {
+                const text = document.createElement('span');
+                text.textContent = (index > 0 ? '، ' : '') + choice.arabic + ' ';
+                const count = document.createElement('span');
+                count.className = 'count';
+                count.textContent = `×${choice.count}`;
+                choices.append(text, count);
+            });
+
+            row.append(latin, choices);
+            return row;
+        }));
+    }
+
+    /**
+     * Fetches the learned words from the background script and renders them.
+     */
+    function loadLearned() {
+        chrome.runtime.sendMessage({ type: 'GET_LEARNED_ENTRIES' }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('[Options] Error fetching learned words:', chrome.runtime.lastError.message);
+                return;
+            }
+            if (response && response.type === 'LEARNED_ENTRIES_RESPONSE') {
+                learnedEntries = response.entries;
+                renderLearned();
+            }
+        });
+    }
+
+    /**
+     * Downloads the learned words as a JSON file.
+     */
+    function exportLearned() {
+        const blob = new Blob([JSON.stringify(learnedEntries, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'harfsync-learned-words.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // --- Event Listeners ---
+
+    // 1. Toggle scope, saved as soon as it changes.
+    toggleScopeSelect.addEventListener('change', () => {
+        chrome.storage.local.set({ [STORAGE_KEY_TOGGLE_SCOPE]: toggleScopeSelect.value }).catch(error => {
+            console.error('[Options] Error saving toggle scope:', error);
+        });
+    });
+
+    // 2. Typing mode options, saved as soon as they change.
+    typingModeSelect.addEventListener('change', () => {
+        chrome.storage.sync.set({ [STORAGE_KEY_TYPING_MODE]: typingModeSelect.value }).catch(error => {
+            console.error('[Options] Error saving typing mode:', error);
+        });
+    });
+    autoPauseCheckbox.addEventListener('change', () => {
+        chrome.storage.sync.set({ [STORAGE_KEY_AUTO_PAUSE]: autoPauseCheckbox.checked }).catch(error => {
+            console.error('[Options] Error saving auto-pause setting:', error);
+        });
+    });
+    backspaceUndoCheckbox.addEventListener('change', () => {
+        chrome.storage.sync.set({ [STORAGE_KEY_BACKSPACE_UNDO]: backspaceUndoCheckbox.checked }).catch(error => {
+            console.error('[Options] Error saving Backspace undo setting:', error);
+        });
+    });
+    convertPasteCheckbox.addEventListener('change', () => {
+        chrome.storage.sync.set({ [STORAGE_KEY_CONVERT_PASTE]: convertPasteCheckbox.checked }).catch(error => {
+            console.error('[Options] Error saving paste setting:', error);
+        });
+    });
+
+    // 3. Arabic font option, saved as soon as it changes.
+    arabicFontCheckbox.addEventListener('change', () => {
+        chrome.storage.sync.set({ [STORAGE_KEY_ARABIC_FONT]: arabicFontCheckbox.checked }).catch(error => {
+            console.error('[Options] Error saving display settings:', error);
+        });
+    });
+
+    // 4. Punctuation and numeral options, saved as soon as they change.
+    arabicPunctuationCheckbox.addEventListener('change', () => {
+        chrome.storage.sync.set({ [STORAGE_KEY_ARABIC_PUNCTUATION]: arabicPunctuationCheckbox.checked }).catch(error => {
+            console.error('[Options] Error saving punctuation setting:', error);
+        });
+    });
+    numeralModeSelect.addEventListener('change', () => {
+        chrome.storage.sync.set({ [STORAGE_KEY_NUMERAL_MODE]: numeralModeSelect.value }).catch(error => {
+            console.error('[Options] Error saving numeral mode:', error);
+        });
+    });
+
+    // 5. Custom rule buttons.
+    document.getElementById('addRuleButton').addEventListener('click', () => {
+        customRules.push({ latin: '', arabic: '' });
+        renderRules();
+    });
+    document.getElementById('saveRulesButton').addEventListener('click', () => {
+        saveEntries(STORAGE_KEY_CUSTOM_RULES, customRules, true, rulesStatus);
+    });
+
+    // 6. Dictionary buttons.
+    document.getElementById('addWordButton').addEventListener('click', () => {
+        dictionary.push({ latin: '', arabic: '' });
+        renderDictionary();
+    });
+    document.getElementById('saveDictionaryButton').addEventListener('click', () => {
+        saveEntries(STORAGE_KEY_DICTIONARY, dictionary, false, dictionaryStatus);
+    });
+
+    // 7. Site rule controls.
+    siteModeSelect.addEventListener('change', () => {
+        siteRules.mode = siteModeSelect.value;
+        renderSiteRules();
+    });
+    document.getElementById('addSiteButton').addEventListener('click', () => {
+        getActiveSiteList().push('');
+        renderSiteRules();
+    });
+    document.getElementById('addSelectorButton').addEventListener('click', () => {
+        siteRules.fieldSelectors.push('');
+        renderSiteRules();
+    });
+    document.getElementById('saveSitesButton').addEventListener('click', saveSiteRules);
+
+    // 8. Cheat sheet search, and reloading it when the rules change (custom rules, profile or numeral mode).
+    cheatSheetSearch.addEventListener('input', renderCheatSheet);
+    chrome.runtime.onMessage.addListener((message) => {
+        if (message.type === 'RULES_UPDATED') {
+            loadCheatSheet();
+        }
+    });
+
+    // 9. Learned words buttons.
+    document.getElementById('exportLearnedButton').addEventListener('click', exportLearned);
+    document.getElementById('clearLearnedButton').addEventListener('click', () => {
+        if (!confirm('Forget all learned words?')) return;
+
+        chrome.runtime.sendMessage({ type: 'CLEAR_LEARNED' }, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                showStatus(learnedStatus, 'Could not clear learned words.', true);
+                return;
+            }
+            learnedEntries = [];
+            renderLearned();
+            showStatus(learnedStatus, 'Cleared.', false);
+        });
+    });
+
+    // --- Initial Setup ---
+
+    loadToggleScope();
+    loadTypingModeSettings();
+    loadDisplaySettings();
+    loadTypingSettings();
+    loadEntries();
+    loadCheatSheet();
+    loadSiteRules();
+    loadLearned();
+});
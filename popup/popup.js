@@ -1,10 +1,39 @@
 // popup.js
 // This script runs when the extension's popup window is opened.
-// It manages the UI for enabling/disabling the transliterator and displaying its status.
+// It manages the UI for enabling/disabling the transliterator, displaying its status,
+// turning it off on the current site, selecting the dialect profile, a scratchpad for typing
+// Arabizi where the content script cannot run, and romanizing Arabic text.
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Storage key for the scratchpad text and its recent drafts (kept in local storage).
+    const STORAGE_KEY_SCRATCHPAD = 'translit_scratchpad';
+
+    // Number of drafts kept.
+    const MAX_DRAFTS = 5;
+
     const statusText = document.getElementById('status-text');
     const toggleButton = document.getElementById('toggleButton');
+    const profileSelect = document.getElementById('profileSelect');
+    const optionsLink = document.getElementById('optionsLink');
+    const siteSection = document.getElementById('siteSection');
+    const siteName = document.getElementById('siteName');
+    const siteButton = document.getElementById('siteButton');
+    const scratchpadInput = document.getElementById('scratchpadInput');
+    const scratchpadPreview = document.getElementById('scratchpadPreview');
+    const copyScratchpadButton = document.getElementById('copyScratchpadButton');
+    const clearScratchpadButton = document.getElementById('clearScratchpadButton');
+    const draftsList = document.getElementById('draftsList');
+    const romanizeInput = document.getElementById('romanizeInput');
+    const schemeSelect = document.getElementById('schemeSelect');
+    const romanizeOutput = document.getElementById('romanizeOutput');
+    const copyRomanizedButton = document.getElementById('copyRomanizedButton');
+
+    // URL of the active tab and whether the site rules allow it.
+    let activeTabUrl = null;
+    let isActiveSiteEnabled = true;
+
+    // Recent scratchpad drafts ({latin, arabic}), newest first.
+    let drafts = [];
 
     /**
      * Updates the UI (status text and its styling) based on the transliterator's state.
@@ -16,6 +45,135 @@ document.addEventListener('DOMContentLoaded', () => {
         // The button text could also change if desired, but "Toggle" is clear.
     }
 
+    /**
+     * Fills the dialect selector and selects the active profile.
+     * @param {Array<{id: string, name: string}>} profiles - The available profiles.
+     * @param {string} activeProfileId - The id of the active profile.
+     */
+    function updateProfileSelect(profiles, activeProfileId) {
+        profileSelect.replaceChildren(...profiles.map(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            return option;
+        }));
+        profileSelect.value = activeProfileId;
+    }
+
+    /**
+     * Shows the Arabic preview of the scratchpad text.
+     */
+    function updateScratchpadPreview() {
+        const text = scratchpadInput.value;
+        if (!text) {
+            scratchpadPreview.textContent = '';
+            return;
+        }
+        chrome.runtime.sendMessage({ type: 'GET_PREVIEW', text: text }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('[Popup] Error fetching preview:', chrome.runtime.lastError.message);
+                return;
+            }
+            // Ignore replies for text that has changed since.
+            if (response && response.type === 'PREVIEW_RESPONSE' && scratchpadInput.value === text) {
+                scratchpadPreview.textContent = response.text;
+            }
+        });
+    }
+
+    /**
+     * Saves the scratchpad text and drafts, so they are back the next time the popup opens.
+     */
+    function saveScratchpad() {
+        chrome.storage.local.set({
+            [STORAGE_KEY_SCRATCHPAD]: { text: scratchpadInput.value, drafts: drafts }
+        }).catch(error => {
+            console.error('[Popup] Error saving scratchpad:', error);
+        });
+    }
+
+    /**
+     * Keeps the current scratchpad text as the newest draft.
+     */
+    function addDraft() {
+        const latin = scratchpadInput.value.trim();
+        if (!latin) return;
+
+        drafts = [
+            { latin: latin, arabic: scratchpadPreview.textContent },
+            ...drafts.filter(draft => draft.latin !== latin)
+        ].slice(0, MAX_DRAFTS);
+        renderDrafts();
+    }
+
+    /**
+     * Lists the drafts; clicking one puts it back in the scratchpad.
+     */
+    function renderDrafts() {
+        draftsList.replaceChildren(...drafts.map(draft => {
+            const button = document.createElement('button');
+            button.className = 'secondary';
+            button.textContent = draft.arabic || draft.latin;
+            button.title = draft.latin;
+            button.addEventListener('click', () => {
+                scratchpadInput.value = draft.latin;
+                updateScratchpadPreview();
+                saveScratchpad();
+            });
+            return button;
+        }));
+    }
+
+    /**
+     * Loads the scratchpad text and drafts saved by an earlier popup.
+     */
+    async function loadScratchpad() {
+        const result = await chrome.storage.local.get(STORAGE_KEY_SCRATCHPAD);
+        const saved = result[STORAGE_KEY_SCRATCHPAD] || {};
+        drafts = Array.isArray(saved.drafts) ? saved.drafts : [];
+        scratchpadInput.value = saved.text || '';
+        renderDrafts();
+        updateScratchpadPreview();
+    }
+
+    /**
+     * Fills the romanization scheme selector, keeping the current choice.
+     * @param {Array<{id: string, name: string}>} schemes - The available schemes.
+     */
+    function updateSchemeSelect(schemes) {
+        const selected = schemeSelect.value;
+        schemeSelect.replaceChildren(...schemes.map(scheme => {
+            const option = document.createElement('option');
+            option.value = scheme.id;
+            option.textContent = scheme.name;
+            return option;
+        }));
+        if (selected) {
+            schemeSelect.value = selected;
+        }
+    }
+
+    /**
+     * Romanizes the text of the Arabic → Latin box with the selected scheme.
+     */
+    function romanizeText() {
+        if (!romanizeInput.value) {
+            romanizeOutput.value = '';
+            return;
+        }
+        const text = romanizeInput.value;
+        chrome.runtime.sendMessage({ type: 'ROMANIZE', text: text, scheme: schemeSelect.value }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('[Popup] Error romanizing text:', chrome.runtime.lastError.message);
+                return;
+            }
+            // Ignore replies for text that has changed since.
+            if (response && response.type === 'ROMANIZE_RESPONSE' && romanizeInput.value === text) {
+                romanizeOutput.value = response.text || '';
+            }
+        });
+    }
+
     /**
      * Fetches the current transliterator state from the background script
      * and updates the popup UI accordingly.
@@ -31,6 +189,46 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             if (response && response.type === 'TRANSLITERATOR_STATE_RESPONSE') {
                 updatePopupUI(response.isEnabled);
+                // In per-tab mode the button only switches the current tab.
+                toggleButton.textContent = response.toggleScope === 'tab' ? 'Toggle for This Tab' : 'Toggle Transliteration';
+                if (response.profiles) {
+                    updateProfileSelect(response.profiles, response.profileId);
+                }
+                if (response.romanizationSchemes) {
+                    updateSchemeSelect(response.romanizationSchemes);
+                }
+            }
+        });
+    }
+
+    /**
+     * Updates the site section for the active tab.
+     * @param {string} site - The site's hostname.
+     * @param {boolean} isSiteEnabled - True if the site rules allow transliteration on the site.
+     */
+    function updateSiteUI(site, isSiteEnabled) {
+        isActiveSiteEnabled = isSiteEnabled;
+        siteName.textContent = site;
+        siteButton.textContent = isSiteEnabled ? 'Disable on this site' : 'Enable on this site';
+        siteSection.hidden = false;
+    }
+
+    /**
+     * Fetches the site rule state of the active tab and shows the site section.
+     * The section stays hidden on pages without a website (e.g. chrome:// pages).
+     */
+    async function fetchAndDisplaySiteState() {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!tab || !tab.url || !/^https?:/.test(tab.url)) return;
+
+        activeTabUrl = tab.url;
+        chrome.runtime.sendMessage({ type: 'GET_SITE_STATE', url: activeTabUrl }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('[Popup] Error fetching site state:', chrome.runtime.lastError.message);
+                return;
+            }
+            if (response && response.type === 'SITE_STATE_RESPONSE' && response.site) {
+                updateSiteUI(response.site, response.isSiteEnabled);
             }
         });
     }
@@ -56,7 +254,78 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
-    // 2. Listen for state updates from the background script.
+    // 2. Listen for dialect profile changes.
+    profileSelect.addEventListener('change', () => {
+        chrome.runtime.sendMessage({ type: 'SET_PROFILE', profileId: profileSelect.value }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('[Popup] Error setting profile:', chrome.runtime.lastError.message);
+                return;
+            }
+            if (response && response.type === 'SET_PROFILE_RESPONSE') {
+                profileSelect.value = response.profileId;
+            }
+        });
+    });
+
+    // 3. Turn transliteration off (or back on) for the active tab's site.
+    siteButton.addEventListener('click', () => {
+        chrome.runtime.sendMessage({
+            type: 'SET_SITE_ENABLED',
+            url: activeTabUrl,
+            enabled: !isActiveSiteEnabled
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('[Popup] Error updating site rules:', chrome.runtime.lastError.message);
+                return;
+            }
+            if (response && response.type === 'SET_SITE_ENABLED_RESPONSE' && response.success) {
+                updateSiteUI(siteName.textContent, response.isSiteEnabled);
+            }
+        });
+    });
+
+    // 4. Scratchpad: preview while typing, copy the Arabic (keeping a draft) and clear.
+    scratchpadInput.addEventListener('input', () => {
+        updateScratchpadPreview();
+        saveScratchpad();
+    });
+    copyScratchpadButton.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(scratchpadPreview.textContent);
+            copyScratchpadButton.textContent = 'Copied';
+            setTimeout(() => {
+                copyScratchpadButton.textContent = 'Copy Arabic';
+            }, 1500);
+        } catch (error) {
+            console.error('[Popup] Error copying text:', error);
+        }
+        addDraft();
+        saveScratchpad();
+    });
+    clearScratchpadButton.addEventListener('click', () => {
+        addDraft();
+        scratchpadInput.value = '';
+        scratchpadPreview.textContent = '';
+        saveScratchpad();
+        scratchpadInput.focus();
+    });
+
+    // 5. Romanize the Arabic → Latin box as it is edited, and copy the result.
+    romanizeInput.addEventListener('input', romanizeText);
+    schemeSelect.addEventListener('change', romanizeText);
+    copyRomanizedButton.addEventListener('click', () => {
+        navigator.clipboard.writeText(romanizeOutput.value).catch(error => {
+            console.error('[Popup] Error copying text:', error);
+        });
+    });
+
+    // 6. Open the options page for the cheat sheet, custom rules, the dictionary and other settings.
+    optionsLink.addEventListener('click', (event) => {
+        event.preventDefault();
+        chrome.runtime.openOptionsPage();
+    });
+
+    // 7. Listen for state updates from the background script.
     // This ensures the popup UI is always in sync with the background script's actual state,
     // even if the state is changed by something other than the popup itself (e.g., initially loading).
     chrome.runtime.onMessage.addListener((message) => {
@@ -69,4 +338,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Fetch and display the current state when the popup is first opened.
     fetchAndDisplayState();
+    fetchAndDisplaySiteState().catch(error => {
+        console.error('[Popup] Error reading the active tab:', error);
+    });
+    loadScratchpad().catch(error => {
+        console.error('[Popup] Error loading scratchpad:', error);
+    });
 });
\ No newline at end of file
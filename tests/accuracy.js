@@ -0,0 +1,133 @@
+// accuracy.js
+// Measures the transliteration engine against the golden corpus: one file per dialect
+// profile in tests/corpus/<profile>.json, each a list of Arabizi words and their correct
+// Arabic spelling. Words the rules are known to get wrong are marked `knownFailure`; they
+// count towards the accuracy but are not regressions. An entry may name the `numeralMode`
+// it is converted in (see NUMERAL_MODES); the others use the default mode.
+// Run `npm run accuracy` for a report per dialect (word accuracy, wrong words and
+// per-rule accuracy); corpus.spec.js runs the same measurement as a test.
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { ArabicTransliterator, NUMERAL_MODES } from '../background/transliteration-rules.js';
+
+const CORPUS_DIRECTORY = new URL('./corpus/', import.meta.url);
+
+/**
+ * Lists the dialect profiles that have a corpus file.
+ * @returns {Array<string>} - The profile ids, sorted.
+ */
+function listCorpusProfiles() {
+    return readdirSync(CORPUS_DIRECTORY)
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length))
+        .sort();
+}
+
+/**
+ * Reads the corpus of a dialect profile.
+ * @param {string} profileId - The profile id (e.g. 'levantine').
+ * @returns {Array<{latin: string, arabic: string, knownFailure?: boolean, numeralMode?: string}>} - The corpus entries.
+ */
+function loadCorpus(profileId) {
+    return JSON.parse(readFileSync(new URL(`${profileId}.json`, CORPUS_DIRECTORY), 'utf8'));
+}
+
+/**
+ * Transliterates every corpus word with the character rules and compares it with its
+ * expected spelling. A rule's accuracy is the share of the words using it that came out
+ * right, so a rule with a low score is the first suspect when words regress.
+ * @param {ArabicTransliterator} transliterator - The engine, set to the corpus' profile.
+ * @param {Array<{latin: string, arabic: string, knownFailure?: boolean, numeralMode?: string}>} corpus - The corpus entries.
+ * @returns {{total: number, correct: number, accuracy: number,
+ *            failures: Array<{latin: string, expected: string, actual: string, knownFailure: boolean}>,
+ *            fixed: Array<string>,
+ *            rules: Array<{latin: string, arabic: string, total: number, correct: number, accuracy: number}>}}
+ *          - Word counts, the wrong words, the known failures that now pass, and per-rule counts
+ *            (worst rule first).
+ */
+function measureAccuracy(transliterator, corpus) {
+    const failures = [];
+    const fixed = [];
+    const rules = new Map();
+
+    corpus.forEach(entry => {
+        transliterator.setNumeralMode(entry.numeralMode || NUMERAL_MODES.ARABIZI);
+        const actual = transliterator.applyRules(entry.latin);
+        const isCorrect = actual === entry.arabic;
+
+        if (!isCorrect) {
+            failures.push({ latin: entry.latin, expected: entry.arabic, actual, knownFailure: Boolean(entry.knownFailure) });
+        } else if (entry.knownFailure) {
+            fixed.push(entry.latin);
+        }
+
+        // Each rule counts once per word
+        const usedRules = new Set(transliterator.tokenize(entry.latin).map(token => token.rule).filter(Boolean));
+        usedRules.forEach(rule => {
+            const stats = rules.get(rule) || { latin: rule.latin, arabic: rule.arabic, total: 0, correct: 0 };
+            stats.total++;
+            stats.correct += isCorrect ? 1 : 0;
+            rules.set(rule, stats);
+        });
+    });
+
+    transliterator.setNumeralMode(NUMERAL_MODES.ARABIZI);
+    const correct = corpus.length - failures.length;
+    return {
+        total: corpus.length,
+        correct,
+        accuracy: corpus.length ? correct / corpus.length : 1,
+        failures,
+        fixed,
+        rules: Array.from(rules.values())
+            .map(stats => ({ ...stats, accuracy: stats.correct / stats.total }))
+            .sort((a, b) => a.accuracy - b.accuracy || b.total - a.total)
+    };
+}
+
+/**
+ * Formats a ratio as a percentage.
+ * @param {number} ratio - A value between 0 and 1.
+ * @returns {string} - E.g. '87.5%'.
+ */
+function formatPercent(ratio) {
+    return `${(ratio * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats the measurement of one profile for the console.
+ * @param {string} profileId - The profile id.
+ * @param {object} result - The result of measureAccuracy.
+ * @returns {string} - The report.
+ */
+function formatReport(profileId, result) {
+    const lines = [`${profileId}: ${result.correct}/${result.total} words (${formatPercent(result.accuracy)})`];
+
+    result.failures.forEach(failure => {
+        const marker = failure.knownFailure ? 'known' : 'REGRESSION';
+        lines.push(`  ${marker.padEnd(10)} ${failure.latin} → ${failure.actual} (expected ${failure.expected})`);
+    });
+    result.fixed.forEach(latin => {
+        lines.push(`  fixed      ${latin} (remove its knownFailure mark)`);
+    });
+
+    lines.push('  rules:');
+    result.rules.forEach(rule => {
+        lines.push(`    ${rule.latin.padEnd(3)} ${(rule.arabic || '∅').padEnd(3)} ${formatPercent(rule.accuracy).padStart(6)} of ${rule.total}`);
+    });
+    return lines.join('\n');
+}
+
+// Report for every profile when run directly; exit with an error on regressions.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    let hasRegressions = false;
+    listCorpusProfiles().forEach(profileId => {
+        const result = measureAccuracy(new ArabicTransliterator(profileId), loadCorpus(profileId));
+        hasRegressions = hasRegressions || result.failures.some(failure => !failure.knownFailure);
+        console.log(formatReport(profileId, result) + '\n');
+    });
+    process.exitCode = hasRegressions ? 1 : 0;
+}
+
+export { listCorpusProfiles, loadCorpus, measureAccuracy, formatReport };
@@ -0,0 +1,74 @@
+// candidate-generator.spec.js
+// Unit tests of CandidateGenerator: the beam search over rule alternatives and the ranking
+// of the spellings it finds, with the bundled word frequency list.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CandidateGenerator, BEAM_WIDTH } from '../background/candidate-generator.js';
+import { ArabicTransliterator } from '../background/transliteration-rules.js';
+import { Lexicon } from '../background/lexicon.js';
+import { LearningStore } from '../background/learning-store.js';
+import { WORD_FREQUENCIES } from '../background/data/word-frequencies.js';
+
+const lexicon = new Lexicon(WORD_FREQUENCIES);
+
+/**
+ * Lists the candidate texts for a word.
+ * @param {CandidateGenerator} generator - The generator.
+ * @param {string} word - The Latin word.
+ * @param {number} [limit] - The maximum number of candidates.
+ * @returns {Array<string>} - The candidate texts, best first.
+ */
+function candidateTexts(generator, word, limit) {
+    return generator.getCandidates(word, limit).map(candidate => candidate.text);
+}
+
+test('known words come first, then the rule-based spelling, then spellings using fewer alternatives', () => {
+    const generator = new CandidateGenerator(new ArabicTransliterator(), lexicon);
+
+    assert.deepEqual(generator.getCandidates('7abibi').slice(0, 2), [
+        { text: 'حبيبي', frequency: lexicon.getFrequency('حبيبي'), source: 'lexicon' },
+        { text: 'حببي', frequency: 0, source: 'rules' }
+    ]);
+    // سلم is what the rules give for 'salam'; صلام needs two alternatives
+    assert.deepEqual(candidateTexts(generator, 'salam', 8), ['سلام', 'سلم', 'سالم', 'صلم', 'سالام', 'صلام', 'صالم', 'صالام']);
+    // Both known words, the more frequent first
+    assert.deepEqual(candidateTexts(generator, 'ktab', 2), ['كتب', 'كتاب']);
+});
+
+test('the limit caps the candidates, and an empty word has none', () => {
+    const generator = new CandidateGenerator(new ArabicTransliterator(), lexicon);
+    assert.equal(generator.getCandidates('salam').length, 5);
+    assert.deepEqual(candidateTexts(generator, 'salam', 1), ['سلام']);
+    assert.deepEqual(generator.getCandidates(''), []);
+});
+
+test('dictionary and learned spellings come first and are not listed twice', async () => {
+    const transliterator = new ArabicTransliterator();
+    transliterator.setDictionary([{ latin: 'salam', arabic: 'سلام' }]);
+    const learningStore = new LearningStore({ set: async () => {}, remove: async () => {} });
+    learningStore.record('salam', 'صلام');
+    learningStore.record('salam', 'سلام');
+
+    const candidates = new CandidateGenerator(transliterator, lexicon, learningStore).getCandidates('salam', 10);
+    assert.deepEqual(candidates.slice(0, 2).map(candidate => [candidate.text, candidate.source]),
+        [['سلام', 'dictionary'], ['صلام', 'learned']]);
+
+    const texts = candidates.map(candidate => candidate.text);
+    assert.equal(new Set(texts).size, texts.length);
+    await learningStore.clear();
+});
+
+test('the beam keeps at most BEAM_WIDTH distinct spellings, the rule-based one among them', () => {
+    const transliterator = new ArabicTransliterator();
+    const generator = new CandidateGenerator(transliterator, lexicon);
+    const word = 'tatatatatat';
+
+    const spellings = generator.searchSpellings(word);
+    assert.equal(spellings.length, BEAM_WIDTH);
+    assert.equal(new Set(spellings.map(spelling => spelling.text)).size, spellings.length);
+    assert.ok(spellings.some(spelling => spelling.text === transliterator.applyRules(word) && spelling.cost === 0));
+
+    // Short words have fewer spellings than the beam holds, and all of them are kept
+    assert.equal(generator.searchSpellings('salam').length, 8);
+});
@@ -0,0 +1,406 @@
+// content-harness.js
+// Loads content-scripts/content.js into a jsdom page with a local stand-in for the Chrome APIs
+// it uses (chrome.runtime messaging and chrome.storage), and simulates typing.
+// The stand-in background answers with the real transliteration engine, set up from the stored
+// options, so typed words are converted as in the extension (without the lexicon and suggestions;
+// learned choices come from the `learned` option). Pages also get the engine of
+// content-scripts/local-engine.js, as in the extension, unless `localEngine` is false.
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { ArabicTransliterator } from '../background/transliteration-rules.js';
+import { TokenClassifier, TOKEN_TYPES } from '../background/token-classifier.js';
+import { ENGLISH_WORDS } from '../background/data/english-words.js';
+import { applyEngineSettings, getChangedEngineSettings } from '../background/engine-settings.js';
+import { createLocalEngine } from '../content-scripts/local-engine.js';
+
+const CONTENT_SCRIPT = readFileSync(new URL('../content-scripts/content.js', import.meta.url), 'utf8');
+
+/**
+ * Waits for pending timers and message callbacks.
+ * @param {number} [ticks] - How many timer rounds to wait.
+ * @returns {Promise<void>}
+ */
+async function flush(ticks = 5) {
+    for (let i = 0; i < ticks; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Adds what jsdom does not implement and content.js relies on: isContentEditable, and an
+ * offsetParent that is null for elements that are not rendered (display: none on the
+ * element or an ancestor, or a fixed position), as in a browser.
+ * @param {Window} window - The jsdom window.
+ */
+function addLayoutShims(window) {
+    Object.defineProperty(window.HTMLElement.prototype, 'isContentEditable', {
+        get() {
+            const host = this.closest('[contenteditable]');
+            return Boolean(host) && host.getAttribute('contenteditable') !== 'false';
+        }
+    });
+    Object.defineProperty(window.HTMLElement.prototype, 'offsetParent', {
+        get() {
+            if (this === this.ownerDocument.body || window.getComputedStyle(this).position === 'fixed') return null;
+            for (let element = this; element; element = element.parentElement) {
+                if (window.getComputedStyle(element).display === 'none') return null;
+            }
+            return this.parentElement;
+        }
+    });
+}
+
+/**
+ * Answers a content-script message the way background.js does, using the engine directly.
+ * @param {ArabicTransliterator} transliterator - The engine.
+ * @param {object} message - The message.
+ * @param {object} state - The page state ({enabled, fieldSelectors, learned}).
+ * @returns {object} - The response.
+ */
+function answerMessage(transliterator, message, state) {
+    if (message.type === 'TRANSLITERATE_REAL_TIME') {
+        const { currentText, cursorPosition } = message.payload;
+        return { type: 'TRANSLITERATE_RESPONSE', payload: transliterator.transliterateRealTime(currentText, cursorPosition) };
+    }
+
+    switch (message.action) {
+        case 'getState':
+            return { enabled: state.enabled, fieldSelectors: state.fieldSelectors };
+        case 'transliterate': {
+            const { text, tokens } = transliterator.analyze(message.text);
+            return { transliteratedText: text, tokens };
+        }
+        case 'commitWord': {
+            // In the order of resolveCommittedWord (background.js); `state.learned` stands in for learned choices
+            const { word, after, force } = message;
+            const before = message.before || '';
+            const protectedType = force ? null :
+                transliterator.getProtectedType(before + word + after, before.length, before.length + word.length);
+            if (protectedType) return { text: word, type: protectedType };
+
+            const known = transliterator.lookupDictionary(word) ?? state.learned[word];
+            const type = known || force ? TOKEN_TYPES.ARABIZI : transliterator.classifyWord(word);
+            if (type !== TOKEN_TYPES.ARABIZI) return { text: word, type };
+            return { text: known ?? transliterator.applyRules(word), type, ...transliterator.getWordPunctuation(word, before, after) };
+        }
+        case 'getCandidates':
+            return { candidates: [] };
+        default:
+            return { success: true };
+    }
+}
+
+/**
+ * Creates the chrome object seen by the content script.
+ * @param {Window} window - The jsdom window (callbacks run on its timers).
+ * @param {object} page - The page being built by createPage.
+ * @returns {object} - The chrome stub.
+ */
+function createChromeStub(window, page) {
+    const transliterator = new ArabicTransliterator();
+    transliterator.setClassifier(new TokenClassifier(ENGLISH_WORDS));
+    applyEngineSettings(transliterator, { ...page.storage.local, ...page.storage.sync });
+    page.storageListeners.push((changes, areaName) => {
+        applyEngineSettings(transliterator, getChangedEngineSettings(changes, areaName));
+    });
+
+    const createStorageArea = (areaName) => ({
+        get(keys, callback) {
+            const names = keys === null || keys === undefined ? Object.keys(page.storage[areaName]) : [].concat(keys);
+            const result = {};
+            names.filter(name => name in page.storage[areaName]).forEach(name => {
+                result[name] = page.storage[areaName][name];
+            });
+            if (!callback) {
+                return Promise.resolve(result);
+            }
+            window.setTimeout(() => callback(result), 0);
+        }
+    });
+
+    return {
+        runtime: {
+            lastError: undefined,
+            getURL: path => `chrome-extension://harfsync/${path}`,
+            sendMessage(message, callback) {
+                page.messages.push(message);
+                const response = answerMessage(transliterator, message, page.state);
+                window.setTimeout(() => {
+                    if (callback) callback(response);
+                    if (message.action === 'getState') page.markReady();
+                }, 0);
+            },
+            onMessage: {
+                addListener: listener => page.messageListeners.push(listener)
+            }
+        },
+        storage: {
+            sync: createStorageArea('sync'),
+            local: createStorageArea('local'),
+            onChanged: {
+                addListener: listener => page.storageListeners.push(listener)
+            }
+        }
+    };
+}
+
+/**
+ * Builds a page, loads the content script into it and waits until it is initialized.
+ * jsdom cannot import the engine module itself, so it is created here and handed to the page.
+ * @param {string} html - The body of the page.
+ * @param {{enabled?: boolean, fieldSelectors?: Array<string>, sync?: object, local?: object,
+ *          localEngine?: boolean, url?: string, learned?: object}} [options] - The transliteration state,
+ *        the stored options, whether the page converts words with its own engine (default) or through
+ *        messages, the page's address, and the spellings the background has learned (Latin → Arabic).
+ * @returns {Promise<object>} - The page: {window, document, messages, events(element), type,
+ *          compose, paste, pressKey, pressVirtualBackspace, deleteBackward, send, setOptions, flush, close}.
+ */
+async function createPage(html, options = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${html}</body></html>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: options.url
+    });
+    const window = dom.window;
+    addLayoutShims(window);
+
+    let markReady;
+    const ready = new Promise(resolve => {
+        markReady = resolve;
+    });
+
+    const page = {
+        window,
+        document: window.document,
+        messages: [],
+        messageListeners: [],
+        storageListeners: [],
+        storage: { sync: { ...options.sync }, local: { ...options.local } },
+        state: { enabled: options.enabled !== false, fieldSelectors: options.fieldSelectors || [], learned: options.learned || {} },
+        markReady,
+        flush,
+
+        /**
+         * Records the input and change events reaching an element.
+         * @param {Element} element - The element.
+         * @returns {Array<{type: string, inputType: string|undefined, data: string|undefined}>} - The
+         *          events, filled in as they arrive.
+         */
+        events(element) {
+            const events = [];
+            ['input', 'change'].forEach(type => {
+                element.addEventListener(type, event => events.push({ type, inputType: event.inputType, data: event.data }));
+            });
+            return events;
+        },
+
+        /**
+         * Types text into the focused field one character at a time, as the browser does:
+         * a cancelable insertText beforeinput event, then (unless it was cancelled) the
+         * character is inserted at the caret and an insertText input event follows.
+         * @param {Element} element - The field (focused first).
+         * @param {string} text - The characters to type.
+         */
+        async type(element, text) {
+            for (const character of text) {
+                editField(window, element, 'insertText', character);
+                await flush();
+            }
+        },
+
+        /**
+         * Types text through an IME: compositionstart, an insertCompositionText input
+         * event per character, then compositionend.
+         * @param {Element} element - The field (focused first).
+         * @param {string} text - The composed characters.
+         */
+        async compose(element, text) {
+            element.focus();
+            element.dispatchEvent(new window.CompositionEvent('compositionstart', { data: '', bubbles: true }));
+            for (const character of text) {
+                editField(window, element, 'insertCompositionText', character, { isComposing: true });
+                await flush();
+            }
+            element.dispatchEvent(new window.CompositionEvent('compositionend', { data: text, bubbles: true }));
+            await flush();
+        },
+
+        /**
+         * Pastes plain text into the focused field. Returns true if the content script
+         * cancelled the paste (to insert the text itself).
+         * @param {Element} element - The field.
+         * @param {string} text - The pasted text.
+         * @returns {Promise<boolean>}
+         */
+        async paste(element, text) {
+            const isCancelled = !editField(window, element, 'insertFromPaste', text, {
+                dataTransfer: { getData: type => (type === 'text/plain' ? text : '') }
+            });
+            await flush();
+            return isCancelled;
+        },
+
+        /**
+         * Presses Backspace as a virtual keyboard does: its keydown reports no key
+         * ('Unidentified'), and the deletion is only known from beforeinput.
+         * Returns true if the content script cancelled the deletion.
+         * @param {Element} element - The field.
+         * @returns {Promise<boolean>}
+         */
+        async pressVirtualBackspace(element) {
+            element.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Unidentified', bubbles: true, cancelable: true }));
+            const isCancelled = !editField(window, element, 'deleteContentBackward', null);
+            await flush();
+            return isCancelled;
+        },
+
+        /**
+         * Deletes the character before the caret without any key press, as an IME, the
+         * context menu or autocorrect does. Returns true if the content script cancelled it.
+         * @param {Element} element - The field.
+         * @returns {Promise<boolean>}
+         */
+        async deleteBackward(element) {
+            const isCancelled = !editField(window, element, 'deleteContentBackward', null);
+            await flush();
+            return isCancelled;
+        },
+
+        /**
+         * Presses a key on the focused element. Returns true if the content script
+         * prevented the key's default action (jsdom performs none either way).
+         * @param {Element} element - The field.
+         * @param {string} key - The key (e.g. 'Backspace').
+         * @returns {Promise<boolean>}
+         */
+        async pressKey(element, key) {
+            const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+            element.dispatchEvent(event);
+            await flush();
+            return event.defaultPrevented;
+        },
+
+        /**
+         * Sends a message to the content script as the background script would.
+         * @param {object} message - The message.
+         * @returns {Promise<object>} - The response.
+         */
+        async send(message) {
+            const response = new Promise(resolve => {
+                page.messageListeners.forEach(listener => listener(message, {}, resolve));
+            });
+            await flush();
+            return response;
+        },
+
+        /**
+         * Changes stored options and notifies the content script.
+         * @param {object} values - The new values.
+         * @param {string} [areaName] - The storage area ('sync' or 'local').
+         */
+        async setOptions(values, areaName = 'sync') {
+            const changes = {};
+            Object.entries(values).forEach(([key, value]) => {
+                changes[key] = { oldValue: page.storage[areaName][key], newValue: value };
+                page.storage[areaName][key] = value;
+            });
+            page.storageListeners.forEach(listener => listener(changes, areaName));
+            await flush();
+        },
+
+        close() {
+            window.close();
+        }
+    };
+
+    window.chrome = createChromeStub(window, page);
+    window.eval(CONTENT_SCRIPT);
+    await ready;
+    if (options.localEngine !== false) {
+        window.setLocalEngine(await createLocalEngine(window.chrome.storage));
+    }
+    await flush();
+    return page;
+}
+
+/**
+ * Makes an edit in a field as the browser does: a cancelable beforeinput event and, unless
+ * it is cancelled, the edit (insertion of `data`, or deletion of the character before the
+ * caret in an input or textarea) and an input event of the same type.
+ * @param {Window} window - The jsdom window.
+ * @param {Element} element - The field (focused first).
+ * @param {string} inputType - The input type (e.g. 'insertText').
+ * @param {string|null} data - The inserted text, null for a deletion.
+ * @param {object} [extra] - More properties of both events (isComposing, dataTransfer).
+ * @returns {boolean} - False if the beforeinput event was cancelled.
+ */
+function editField(window, element, inputType, data, extra = {}) {
+    if (window.document.activeElement !== element) {
+        element.focus();
+    }
+    const createEvent = (type) => {
+        const event = new window.InputEvent(type, {
+            inputType, data, isComposing: Boolean(extra.isComposing), bubbles: true, cancelable: type === 'beforeinput'
+        });
+        // jsdom has no DataTransfer
+        if (extra.dataTransfer) {
+            Object.defineProperty(event, 'dataTransfer', { value: extra.dataTransfer });
+        }
+        return event;
+    };
+
+    if (!element.dispatchEvent(createEvent('beforeinput'))) return false;
+
+    const isTextControl = element.tagName === 'INPUT' || element.tagName === 'TEXTAREA';
+    if (data === null && isTextControl) {
+        const end = element.selectionEnd;
+        const start = element.selectionStart === end ? Math.max(end - 1, 0) : element.selectionStart;
+        element.setRangeText('', start, end, 'end');
+    } else if (isTextControl) {
+        element.setRangeText(data, element.selectionStart, element.selectionEnd, 'end');
+    } else {
+        insertIntoContentEditable(window, element, data);
+    }
+    element.dispatchEvent(createEvent('input'));
+    return true;
+}
+
+/**
+ * Inserts a character at the caret of a contenteditable and moves the caret after it.
+ * @param {Window} window - The jsdom window.
+ * @param {Element} element - The contenteditable.
+ * @param {string} character - The character.
+ */
+function insertIntoContentEditable(window, element, character) {
+    const selection = window.getSelection();
+    let node;
+    let offset;
+    if (selection.rangeCount > 0 && selection.getRangeAt(0).startContainer.nodeType === window.Node.TEXT_NODE) {
+        const range = selection.getRangeAt(0);
+        node = range.startContainer;
+        offset = range.startOffset;
+    } else {
+        node = element.appendChild(window.document.createTextNode(''));
+        offset = 0;
+    }
+    node.insertData(offset, character);
+    placeCaret(window, node, offset + character.length);
+}
+
+/**
+ * Puts a collapsed selection in a text node.
+ * @param {Window} window - The jsdom window.
+ * @param {Text} node - The text node.
+ * @param {number} offset - The caret offset.
+ */
+function placeCaret(window, node, offset) {
+    const range = window.document.createRange();
+    range.setStart(node, offset);
+    range.collapse(true);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+export { createPage, placeCaret, flush };
@@ -0,0 +1,467 @@
+// content.spec.js
+// Integration tests of content-scripts/content.js in a simulated page (see content-harness.js):
+// which fields are transliterated, the resulting text and caret, and the events dispatched.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPage, placeCaret } from './content-harness.js';
+
+/**
+ * Runs a test body on a fresh page and closes it afterwards.
+ * @param {string} html - The body of the page.
+ * @param {object} options - Options for createPage.
+ * @param {Function} body - Receives the page.
+ */
+async function withPage(html, options, body) {
+    const page = await createPage(html, options);
+    try {
+        await body(page);
+    } finally {
+        page.close();
+    }
+}
+
+test('typing in an input converts each word and keeps the caret at the end', () => withPage(
+    '<input id="field" type="text">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam 3ala');
+
+        assert.equal(field.value, 'سلام على');
+        assert.equal(field.selectionStart, field.value.length);
+        assert.equal(field.selectionEnd, field.value.length);
+    }
+));
+
+test('typing in the middle of a textarea keeps the text around the word and the caret after it', () => withPage(
+    '<textarea id="field">hello \nworld</textarea>', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        field.focus();
+        field.setSelectionRange(6, 6);
+        await page.type(field, 'ma3 ');
+
+        assert.equal(field.value, 'hello مع \nworld');
+        assert.equal(field.selectionStart, 9);
+    }
+));
+
+test('the converted word is written through an insertReplacementText input event, after each typed character', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        const events = page.events(field);
+        await page.type(field, 'ma3');
+
+        const typed = events.filter(event => event.inputType === 'insertText');
+        const written = events.filter(event => event.inputType === 'insertReplacementText');
+        assert.equal(typed.length, 3);
+        assert.ok(written.length >= 1, 'the content script notifies the page of its edits');
+        assert.ok(written.every(event => event.type === 'input'));
+        assert.equal(written[written.length - 1].data, 'مع');
+        assert.equal(typed.length + written.length, events.length);
+    }
+));
+
+test('typing in a contenteditable edits only the text node under the caret', () => withPage(
+    '<div id="editor" contenteditable="true"><b>bold</b> </div>', {},
+    async (page) => {
+        const editor = page.document.getElementById('editor');
+        const textNode = editor.lastChild;
+        editor.focus();
+        placeCaret(page.window, textNode, 1);
+        await page.type(editor, 'ma3 ');
+
+        assert.equal(editor.querySelector('b').textContent, 'bold');
+        assert.equal(textNode.data, ' مع ');
+        const range = page.window.getSelection().getRangeAt(0);
+        assert.equal(range.startContainer, textNode);
+        assert.equal(range.startOffset, textNode.length);
+    }
+));
+
+test('typing in an element with role="textbox" converts it', () => withPage(
+    '<div id="editor" role="textbox" contenteditable="true"></div>', {},
+    async (page) => {
+        const editor = page.document.getElementById('editor');
+        await page.type(editor, 'shams ');
+
+        assert.equal(editor.textContent, 'شمس ');
+    }
+));
+
+test('English words, emails and escaped words stay Latin', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'hello name@example.com \\salaam ');
+
+        assert.equal(field.value, 'hello name@example.com salaam ');
+    }
+));
+
+for (const localEngine of [true, false]) {
+    test(`personal dictionary words in emails and URLs stay Latin (${localEngine ? 'engine in the page' : 'background'})`, () => withPage(
+        '<input id="field">', { localEngine, sync: { translit_dictionary: [{ latin: 'salam', arabic: 'سلام' }] } },
+        async (page) => {
+            const field = page.document.getElementById('field');
+            await page.type(field, 'salam@gmail.com https://x.com/salam/ salam ');
+
+            assert.equal(field.value, 'salam@gmail.com https://x.com/salam/ سلام ');
+        }
+    ));
+}
+
+test('disabled, read-only and hidden fields are not valid input elements', () => withPage(
+    `<input id="disabled" disabled>
+     <textarea id="readonly" readonly></textarea>
+     <input id="hidden" style="display: none">
+     <div style="display: none"><div id="hiddenEditor" contenteditable="true"></div></div>
+     <input id="fixed" style="position: fixed">
+     <input id="visible">`, {},
+    async (page) => {
+        const isValid = id => page.window.isValidInputElement(page.document.getElementById(id));
+
+        assert.equal(isValid('disabled'), false);
+        assert.equal(isValid('readonly'), false);
+        assert.equal(isValid('hidden'), false);
+        assert.equal(isValid('hiddenEditor'), false);
+        assert.equal(isValid('fixed'), true);
+        assert.equal(isValid('visible'), true);
+    }
+));
+
+test('input events from a read-only field are ignored', () => withPage(
+    '<textarea id="field" readonly></textarea>', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam ');
+
+        assert.equal(field.value, 'salaam ');
+    }
+));
+
+test('password and non-text inputs, and opted-out fields are skipped', () => withPage(
+    `<input id="password" type="password">
+     <input id="number" type="number">
+     <input id="login" autocomplete="username">
+     <div data-harfsync="off"><input id="optedOut"></div>
+     <input id="selected" class="no-arabic">`, { fieldSelectors: ['.no-arabic'] },
+    async (page) => {
+        ['password', 'number', 'login', 'optedOut', 'selected'].forEach(id => {
+            assert.equal(page.window.isInputElement(page.document.getElementById(id)), false, id);
+        });
+    }
+));
+
+test('nothing is converted while transliteration is off', () => withPage(
+    '<input id="field">', { enabled: false },
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam ');
+
+        assert.equal(field.value, 'salaam ');
+    }
+));
+
+test('turning transliteration off gives fields their direction back', () => withPage(
+    '<input id="field" dir="ltr">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam ');
+        assert.equal(field.getAttribute('dir'), 'rtl');
+
+        await page.send({ action: 'toggle', enabled: false });
+        assert.equal(field.getAttribute('dir'), 'ltr');
+    }
+));
+
+test('converting a whole field replaces its value, restores the caret and fires input and change', () => withPage(
+    '<input id="field" value="salaam ya 7abibi">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        field.focus();
+        field.setSelectionRange(6, 6);
+        const events = page.events(field);
+
+        await page.send({ action: 'processCurrentElement' });
+
+        assert.equal(field.value, 'سلام يا حببي');
+        assert.equal(field.selectionStart, 6);
+        assert.deepEqual(events.map(event => event.type), ['input', 'change']);
+    }
+));
+
+test('Backspace right after a converted word brings back the Latin', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam ');
+        assert.equal(field.value, 'سلام ');
+
+        assert.equal(await page.pressKey(field, 'Backspace'), true);
+        assert.equal(field.value, 'salaam ');
+        assert.equal(field.selectionStart, field.value.length);
+
+        // A second Backspace is a normal one
+        assert.equal(await page.pressKey(field, 'Backspace'), false);
+    }
+));
+
+test('in manual mode words stay Latin until the previous-word shortcut', () => withPage(
+    '<input id="field">', { sync: { translit_typing_mode: 'manual' } },
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'hello salaam');
+        assert.equal(field.value, 'hello salaam');
+
+        const response = await page.send({ action: 'transliteratePreviousWord' });
+        await page.flush();
+        assert.equal(response.success, true);
+        assert.equal(field.value, 'hello سلام');
+        assert.equal(field.selectionStart, field.value.length);
+    }
+));
+
+test('fields in another language are paused unless auto-pause is off', () => withPage(
+    '<input id="english" lang="en"><input id="arabic" lang="ar">', {},
+    async (page) => {
+        const english = page.document.getElementById('english');
+        const arabic = page.document.getElementById('arabic');
+        await page.type(english, 'salaam ');
+        await page.type(arabic, 'salaam ');
+        assert.equal(english.value, 'salaam ');
+        assert.equal(arabic.value, 'سلام ');
+
+        await page.setOptions({ translit_auto_pause: false });
+        english.value = '';
+        await page.type(english, 'salaam ');
+        assert.equal(english.value, 'سلام ');
+    }
+));
+
+test('the engine in the page converts each keystroke without a message to the background', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        field.focus();
+        page.messages.length = 0;
+
+        // The word is converted while the input event is handled, before any timer runs
+        field.setRangeText('s', 0, 0, 'end');
+        field.dispatchEvent(new page.window.InputEvent('input', { inputType: 'insertText', data: 's', bubbles: true }));
+        assert.equal(field.value, 'س');
+
+        await page.type(field, 'alaam');
+        assert.equal(field.value, 'سلام');
+        assert.equal(page.messages.filter(message => message.type === 'TRANSLITERATE_REAL_TIME').length, 0);
+    }
+));
+
+test('custom rules and the dialect profile reach the engine in the page through storage changes', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.setOptions({ translit_custom_rules: [{ latin: 'ch', arabic: 'تش' }] });
+        await page.type(field, 'chai');
+        assert.equal(field.value, 'تشي');
+
+        field.value = '';
+        await page.setOptions({ translit_profile: 'egyptian' }, 'local');
+        await page.type(field, 'gamal');
+        assert.equal(field.value, 'جمل');
+    }
+));
+
+test('without the engine in the page, words are converted by the background', () => withPage(
+    '<input id="field">', { localEngine: false },
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam ');
+
+        assert.equal(field.value, 'سلام ');
+        assert.ok(page.messages.some(message => message.type === 'TRANSLITERATE_REAL_TIME'));
+    }
+));
+
+test('committed words are converted in the page, and the background only revises the Arabic word', () => withPage(
+    '<input id="field">', { learned: { salaam: 'سلم' } },
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam');
+
+        // The space commits the word while the input event is handled
+        field.setRangeText(' ', field.value.length, field.value.length, 'end');
+        field.dispatchEvent(new page.window.InputEvent('input', { inputType: 'insertText', data: ' ', bubbles: true }));
+        assert.equal(field.value, 'سلام ');
+
+        await page.flush();
+        assert.equal(field.value, 'سلم ');
+        assert.equal(field.selectionStart, field.value.length);
+    }
+));
+
+test('a late reply from the background does not overwrite text changed since the word was committed', () => withPage(
+    '<input id="field">', { learned: { salaam: 'سلم' } },
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam');
+        field.setRangeText(' ', field.value.length, field.value.length, 'end');
+        field.dispatchEvent(new page.window.InputEvent('input', { inputType: 'insertText', data: ' ', bubbles: true }));
+
+        // The page rewrites the field before the reply arrives
+        field.value = 'مرحبا ';
+        await page.flush();
+        assert.equal(field.value, 'مرحبا ');
+    }
+));
+
+test('text composed by an IME is left as composed, and typing converts again afterwards', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.compose(field, 'salaam');
+        assert.equal(field.value, 'salaam');
+
+        await page.type(field, ' ma3');
+        assert.equal(field.value, 'salaam مع');
+    }
+));
+
+test('edits the page makes itself after cancelling beforeinput are not converted', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        field.addEventListener('beforeinput', (event) => {
+            event.preventDefault();
+            field.setRangeText(event.data, field.selectionStart, field.selectionEnd, 'end');
+            field.dispatchEvent(new page.window.InputEvent('input', { inputType: 'insertText', data: event.data, bubbles: true }));
+        });
+        await page.type(field, 'salaam ');
+
+        assert.equal(field.value, 'salaam ');
+    }
+));
+
+test('pasted text is converted only when the paste option is on', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        assert.equal(await page.paste(field, 'salaam ya 7abibi'), false);
+        assert.equal(field.value, 'salaam ya 7abibi');
+
+        field.value = '';
+        await page.setOptions({ translit_convert_paste: true });
+        assert.equal(await page.paste(field, 'salaam hello'), true);
+        assert.equal(field.value, 'سلام hello');
+        assert.equal(field.selectionStart, field.value.length);
+    }
+));
+
+test('Backspace from a virtual keyboard brings back the Latin through beforeinput', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam ');
+        assert.equal(field.value, 'سلام ');
+
+        assert.equal(await page.pressVirtualBackspace(field), true);
+        assert.equal(field.value, 'salaam ');
+
+        assert.equal(await page.pressVirtualBackspace(field), false);
+        assert.equal(field.value, 'salaam');
+    }
+));
+
+test('a deletion without a key press after an earlier Backspace can still undo a conversion', () => withPage(
+    '<input id="field">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        await page.type(field, 'salaam ');
+        assert.equal(await page.pressKey(field, 'Backspace'), true);
+        assert.equal(field.value, 'salaam ');
+
+        // The next word is then deleted from the context menu, without a key press
+        await page.type(field, 'kitaab ');
+        assert.equal(field.value, 'salaam كتاب ');
+        assert.equal(await page.deleteBackward(field), true);
+        assert.equal(field.value, 'salaam kitaab ');
+    }
+));
+
+/**
+ * Makes an input behave like a React controlled input: React tracks the value set through the
+ * element's own setter, and on each input event either takes the new value (if it differs from
+ * the tracked one) or puts its state back.
+ * @param {Window} window - The jsdom window.
+ * @param {HTMLInputElement} field - The input.
+ */
+function controlLikeReact(window, field) {
+    const descriptor = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value');
+    let trackedValue = field.value;
+    let state = field.value;
+    Object.defineProperty(field, 'value', {
+        configurable: true,
+        get() {
+            return descriptor.get.call(this);
+        },
+        set(value) {
+            trackedValue = value;
+            descriptor.set.call(this, value);
+        }
+    });
+    field.addEventListener('input', () => {
+        if (field.value !== trackedValue) {
+            trackedValue = field.value;
+            state = field.value;
+        } else if (field.value !== state) {
+            field.value = state;
+        }
+    });
+}
+
+test('controlled inputs keep the text the content script writes', () => withPage(
+    '<input id="field" value="salaam ya 7abibi">', {},
+    async (page) => {
+        const field = page.document.getElementById('field');
+        controlLikeReact(page.window, field);
+        field.focus();
+        field.setSelectionRange(field.value.length, field.value.length);
+
+        await page.send({ action: 'processCurrentElement' });
+        assert.equal(field.value, 'سلام يا حببي');
+
+        await page.type(field, ' ma3 ');
+        assert.equal(field.value, 'سلام يا حببي مع ');
+    }
+));
+
+test('editors that only accept the editing command are not edited behind their back', () => withPage(
+    '<div id="editor" contenteditable="true" data-lexical-editor="true"></div>', {},
+    async (page) => {
+        const editor = page.document.getElementById('editor');
+        await page.type(editor, 'salaam ');
+        assert.equal(editor.textContent, 'salaam ');
+
+        // With the command (which jsdom lacks), the editor applies the conversion itself
+        page.document.execCommand = (command, showUI, text) => {
+            const range = page.window.getSelection().getRangeAt(0);
+            range.startContainer.replaceData(range.startOffset, range.endOffset - range.startOffset, text);
+            placeCaret(page.window, range.startContainer, range.startOffset + text.length);
+            return true;
+        };
+        await page.type(editor, 'ma3 ');
+        assert.equal(editor.textContent, 'salaam مع ');
+    }
+));
+
+test('site adapters apply only on their sites', () => withPage(
+    '<div id="editor" contenteditable="true"></div>', { url: 'https://www.notion.so/notes' },
+    async (page) => {
+        const editor = page.document.getElementById('editor');
+        await page.type(editor, 'salaam ');
+
+        assert.equal(editor.textContent, 'salaam ');
+        assert.equal(page.window.getWriteStrategy(editor), 'command-only');
+    }
+));
@@ -0,0 +1,42 @@
+// corpus.spec.js
+// Runs the golden corpus (tests/corpus/) against the engine, one test per dialect profile.
+// A word that is not marked `knownFailure` and comes out wrong is a regression.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArabicTransliterator } from '../background/transliteration-rules.js';
+import { listProfiles } from '../background/dialect-profiles.js';
+import { listCorpusProfiles, loadCorpus, measureAccuracy } from './accuracy.js';
+
+test('the engine runs without Chrome APIs', () => {
+    assert.equal(typeof globalThis.chrome, 'undefined');
+    assert.equal(new ArabicTransliterator().transliterate('salaam 3ala'), 'سلام على');
+});
+
+test('a final ah after a single syllable is not a Ta Marbuta', () => {
+    const transliterator = new ArabicTransliterator();
+    ['sabah', 'hala', 'falah'].forEach(word => {
+        assert.ok(!transliterator.applyRules(word).endsWith('ة'), word);
+    });
+});
+
+test('every dialect profile has a corpus', () => {
+    assert.deepEqual(listCorpusProfiles(), listProfiles().map(profile => profile.id).sort());
+});
+
+listCorpusProfiles().forEach(profileId => {
+    test(`${profileId} corpus`, (t) => {
+        const corpus = loadCorpus(profileId);
+        const words = corpus.map(entry => `${entry.latin} ${entry.numeralMode || ''}`);
+        assert.equal(new Set(words).size, words.length, 'corpus words are unique');
+
+        const result = measureAccuracy(new ArabicTransliterator(profileId), corpus);
+        t.diagnostic(`${result.correct}/${result.total} words correct`);
+        result.fixed.forEach(latin => t.diagnostic(`"${latin}" now passes; remove its knownFailure mark`));
+
+        const regressions = result.failures
+            .filter(failure => !failure.knownFailure)
+            .map(failure => `${failure.latin} → ${failure.actual} (expected ${failure.expected})`);
+        assert.deepEqual(regressions, []);
+    });
+});
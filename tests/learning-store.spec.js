@@ -0,0 +1,74 @@
+// learning-store.spec.js
+// Unit tests of LearningStore, with an in-memory stand-in for chrome.storage.local.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LearningStore } from '../background/learning-store.js';
+
+/**
+ * Creates a storage area holding the given data, whose reads can be held back.
+ * @param {object} data - The stored items.
+ * @returns {{area: object, release: Function}} - The area, and a function that lets pending reads finish.
+ */
+function createStorageArea(data) {
+    let release;
+    const released = new Promise(resolve => {
+        release = resolve;
+    });
+    return {
+        area: {
+            async get(key) {
+                await released;
+                return key in data ? { [key]: data[key] } : {};
+            },
+            async set(items) {
+                Object.assign(data, items);
+            },
+            async remove(key) {
+                delete data[key];
+            }
+        },
+        release
+    };
+}
+
+test('choices recorded before the stored ones are loaded are kept', async () => {
+    const { area, release } = createStorageArea({
+        translit_learned: {
+            salam: { choices: { 'سلام': 2 }, lastUsed: 1 },
+            kalb: { choices: { 'كلب': 1 }, lastUsed: 2 }
+        }
+    });
+    const store = new LearningStore(area);
+
+    const loading = store.load();
+    store.record('salam', 'سلام');
+    store.record('shams', 'شمس');
+    release();
+    await loading;
+    clearTimeout(store.saveTimer);
+
+    assert.deepEqual(store.getChoices('salam'), [{ arabic: 'سلام', count: 3 }]);
+    assert.equal(store.getPreferred('shams'), 'شمس');
+    assert.equal(store.getPreferred('kalb'), 'كلب');
+    // The words recorded during the load are the most recently used
+    assert.deepEqual(store.getEntries().map(entry => entry.latin), ['shams', 'salam', 'kalb']);
+});
+
+test('loading keeps the size cap', async () => {
+    const { area, release } = createStorageArea({
+        translit_learned: {
+            a: { choices: { 'ا': 1 }, lastUsed: 1 },
+            b: { choices: { 'ب': 1 }, lastUsed: 2 }
+        }
+    });
+    const store = new LearningStore(area, { maxEntries: 2 });
+
+    const loading = store.load();
+    store.record('c', 'ج');
+    release();
+    await loading;
+    clearTimeout(store.saveTimer);
+
+    assert.deepEqual(store.getEntries().map(entry => entry.latin), ['c', 'b']);
+});
@@ -0,0 +1,47 @@
+// lexicon.spec.js
+// Unit tests of Lexicon.findNearest, the lookup that snaps committed words to known words.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Lexicon } from '../background/lexicon.js';
+
+const lexicon = new Lexicon([
+    ['سلام', 3950],
+    ['قلب', 780],
+    ['منه', 1695],
+    ['منيح', 300],
+    ['حبيبي', 3150],
+    ['كتب', 2160],
+    ['كتاب', 940]
+]);
+
+test('a known spelling is its own nearest word', () => {
+    assert.deepEqual(lexicon.findNearest('سلام', 1), { word: 'سلام', distance: 0, frequency: 3950 });
+});
+
+test('an unknown spelling snaps to a known word within the distance', () => {
+    // A missing long vowel costs half a letter
+    assert.equal(lexicon.findNearest('سلم', 0.5).word, 'سلام');
+    assert.equal(lexicon.findNearest('حببي', 0.5).word, 'حبيبي');
+});
+
+test('nothing is returned beyond the distance, or for empty text', () => {
+    assert.equal(lexicon.findNearest('سلم', 0), null);
+    assert.equal(lexicon.findNearest('بحر', 1), null);
+    assert.equal(lexicon.findNearest('', 1), null);
+});
+
+test('ties go to the more frequent word', () => {
+    // كتب and كتاب are both one letter from كتا
+    assert.equal(lexicon.findNearest('كتا', 1).distance, lexicon.distance('كتا', 'كتاب'));
+    assert.equal(lexicon.findNearest('كتا', 1).word, 'كتب');
+});
+
+test('with spellings given, only those known words are considered', () => {
+    // Confusable letters make قلب close to كلب, but the rules never spell kalb with ق
+    assert.equal(lexicon.findNearest('كلب', 0.5).word, 'قلب');
+    assert.equal(lexicon.findNearest('كلب', 0.5, ['كلب', 'كالب']), null);
+
+    // منه is as close to منيه as منيح, and more frequent, but only منيح is a spelling of 'mneeh'
+    assert.equal(lexicon.findNearest('منيه', 0.5, ['منيه', 'منيح', 'منية']).word, 'منيح');
+});
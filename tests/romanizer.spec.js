@@ -0,0 +1,105 @@
+// romanizer.spec.js
+// Unit tests of ArabicRomanizer: Arabic script to Arabizi, ALA-LC and DIN 31635.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArabicRomanizer, ROMANIZATION_SCHEMES } from '../background/romanizer.js';
+import { ArabicTransliterator } from '../background/transliteration-rules.js';
+
+const romanizer = new ArabicRomanizer();
+const { ARABIZI, ALA_LC, DIN_31635 } = ROMANIZATION_SCHEMES;
+
+/**
+ * Checks the romanization of each Arabic word in the three schemes.
+ * @param {Object<string, [string, string, string]>} cases - Arabic → [Arabizi, ALA-LC, DIN 31635].
+ */
+function assertRomanized(cases) {
+    for (const [arabic, expected] of Object.entries(cases)) {
+        assert.deepEqual([ARABIZI, ALA_LC, DIN_31635].map(scheme => romanizer.romanize(arabic, scheme)), expected, arabic);
+    }
+}
+
+test('the article assimilates to sun letters only in DIN 31635', () => {
+    assertRomanized({
+        'الشَّمْس': ['alshams', 'al-shams', 'aš-šams'],
+        'الرَّحْمٰن': ['alra7man', 'al-raḥmān', 'ar-raḥmān'],
+        'القَمَر': ['alqamar', 'al-qamar', 'al-qamar']
+    });
+});
+
+test('shadda doubles its consonant, even after a vowel sign', () => {
+    assertRomanized({
+        'مُحَم\u0651\u064Eد': ['mu7ammad', 'muḥammad', 'muḥammad'],
+        'مُحَم\u064E\u0651د': ['mu7ammad', 'muḥammad', 'muḥammad']
+    });
+});
+
+test('tanween is written as a vowel and n, and the alif after tanween fath is silent', () => {
+    assertRomanized({
+        'كِتَابٌ': ['kitaabun', 'kitābun', 'kitābun'],
+        'كِتَابًا': ['kitaaban', 'kitāban', 'kitāban'],
+        'كِتَابٍ': ['kitaabin', 'kitābin', 'kitābin']
+    });
+});
+
+test('ta marbuta and alif maqsura endings', () => {
+    assertRomanized({
+        'مَدْرَسَة': ['madrasah', 'madrasah', 'madrasa'],
+        'رِئَة': ['ri2ah', 'riʼah', 'riʾa'],
+        'مُسْتَشْفَى': ['mustashfa', 'mustashfá', 'mustašfā']
+    });
+});
+
+test('hamza on its own, on a seat and at the start of a word', () => {
+    assertRomanized({
+        'سَأَلَ': ['sa2ala', 'saʼala', 'saʾala'],
+        'مَسْؤُول': ['mas2ool', 'masʼūl', 'masʾūl'],
+        'سُؤَال': ['su2aal', 'suʼāl', 'suʾāl'],
+        'شَيْء': ['shay2', 'shayʼ', 'šayʾ'],
+        'أَحْمَد': ['a7mad', 'aḥmad', 'aḥmad'],
+        'إِسْلَام': ['islaam', 'islām', 'islām'],
+        'آمَن': ['aaman', 'āman', 'āman']
+    });
+});
+
+test('waw and ya are consonants next to vowels and long vowels otherwise', () => {
+    assertRomanized({
+        'بَيْت': ['bayt', 'bayt', 'bayt'],
+        'يَوْم': ['yawm', 'yawm', 'yawm'],
+        'حَبِيبِي': ['7abeebi', 'ḥabībī', 'ḥabībī']
+    });
+});
+
+test('the word Allah has a fixed spelling', () => {
+    assertRomanized({
+        'الله': ['allah', 'Allāh', 'Allāh'],
+        'اللّٰه': ['allah', 'Allāh', 'Allāh']
+    });
+});
+
+test('unvowelled text gives consonants and long vowels only', () => {
+    assertRomanized({
+        'مرحبا': ['mr7ba', 'mrḥbā', 'mrḥbā'],
+        'مدرسة': ['mdrsah', 'mdrsah', 'mdrsa'],
+        'كتاب': ['ktaab', 'ktāb', 'ktāb']
+    });
+});
+
+test('Latin text is kept, and Arabic punctuation and digits become Latin', () => {
+    assert.equal(romanizer.romanize('hello مَرْحَبًا، كَيْفَك؟ ٢٠٢٤'), 'hello mar7aban, kayfak? 2024');
+    assert.equal(romanizer.romanize('سـلام', ALA_LC), 'slām');
+});
+
+test('an unknown scheme gives null and empty text stays empty', () => {
+    assert.equal(romanizer.romanize('سلام', 'unknown'), null);
+    assert.equal(romanizer.romanize('', ALA_LC), '');
+    assert.deepEqual(romanizer.listSchemes().map(scheme => scheme.id), [ARABIZI, ALA_LC, DIN_31635]);
+});
+
+test('vowelled text romanized to Arabizi types back to the same letters', () => {
+    const transliterator = new ArabicTransliterator();
+    for (const word of ['مَدْرَسَة', 'كِتَاب', 'سَلَام', 'حَبِيبِي', 'عَلَى', 'الْقَمَر']) {
+        const plain = word.replace(/[\u064B-\u0652\u0670]/g, '');
+        assert.equal(transliterator.transliterate(romanizer.romanize(word, ARABIZI)), plain, word);
+    }
+});
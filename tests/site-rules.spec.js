@@ -0,0 +1,113 @@
+// site-rules.spec.js
+// Unit tests of the per-site rules: pattern matching, and enabling or disabling a site.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SITE_MODES,
+    normalizeSiteRules,
+    matchesSitePattern,
+    isSiteEnabled,
+    isPageEnabled,
+    getSiteKey,
+    setSiteEnabled
+} from '../background/site-rules.js';
+
+test('a domain matches itself and its subdomains, not other domains ending alike', () => {
+    assert.equal(matchesSitePattern('https://example.com/page', 'example.com'), true);
+    assert.equal(matchesSitePattern('https://mail.example.com/', 'example.com'), true);
+    assert.equal(matchesSitePattern('https://notexample.com/', 'example.com'), false);
+    assert.equal(matchesSitePattern('https://example.com.evil.io/', 'example.com'), false);
+    assert.equal(matchesSitePattern('https://EXAMPLE.com/', ' Example.COM '), true);
+});
+
+test('a leading www. makes no difference on either side', () => {
+    assert.equal(matchesSitePattern('https://www.example.com/', 'example.com'), true);
+    assert.equal(matchesSitePattern('https://example.com/', 'www.example.com'), true);
+    assert.equal(matchesSitePattern('https://www.example.com/', 'www.example.com'), true);
+});
+
+test('a host wildcard matches subdomains only', () => {
+    assert.equal(matchesSitePattern('https://online.bank.com/', '*.bank.com'), true);
+    assert.equal(matchesSitePattern('https://a.b.bank.com/', '*.bank.com'), true);
+    assert.equal(matchesSitePattern('https://bank.com/', '*.bank.com'), false);
+    assert.equal(matchesSitePattern('https://bank.com.evil.io/', '*.bank.com'), false);
+});
+
+test('ports are ignored unless the pattern names one', () => {
+    assert.equal(matchesSitePattern('http://localhost:3000/', 'localhost'), true);
+    assert.equal(matchesSitePattern('http://localhost:3000/', 'localhost:3000'), true);
+    assert.equal(matchesSitePattern('http://localhost:8080/', 'localhost:3000'), false);
+    assert.equal(matchesSitePattern('http://localhost/', 'localhost:3000'), false);
+    assert.equal(matchesSitePattern('http://app.dev.local:8080/', '*.local:8080'), true);
+});
+
+test('a URL wildcard matches the whole address', () => {
+    const pattern = 'https://github.com/*/issues/*';
+    assert.equal(matchesSitePattern('https://github.com/owner/repo/issues/1', pattern), true);
+    assert.equal(matchesSitePattern('https://github.com/owner/repo/pulls', pattern), false);
+    assert.equal(matchesSitePattern('http://github.com/owner/repo/issues/1', pattern), false);
+});
+
+test('invalid URLs and empty patterns match nothing', () => {
+    assert.equal(matchesSitePattern('not a url', 'example.com'), false);
+    assert.equal(matchesSitePattern('https://example.com/', ''), false);
+    assert.equal(getSiteKey('not a url'), null);
+    assert.equal(getSiteKey('https://Docs.Example.com:8443/x'), 'docs.example.com');
+});
+
+test('stored rules are completed with defaults', () => {
+    assert.deepEqual(normalizeSiteRules({ mode: 'everywhere', blocked: 'example.com' }),
+        { mode: SITE_MODES.BLOCKLIST, blocked: [], allowed: [], fieldSelectors: [] });
+});
+
+test('a blocked site stays off in blocklist mode even when it is also allowed; each mode only reads its own list', () => {
+    const rules = { mode: SITE_MODES.BLOCKLIST, blocked: ['bank.com'], allowed: ['bank.com', 'example.com'], fieldSelectors: [] };
+    assert.equal(isSiteEnabled('https://online.bank.com/', rules), false);
+    assert.equal(isSiteEnabled('https://other.org/', rules), true);
+
+    const allowlist = { ...rules, mode: SITE_MODES.ALLOWLIST };
+    assert.equal(isSiteEnabled('https://online.bank.com/', allowlist), true);
+    assert.equal(isSiteEnabled('https://other.org/', allowlist), false);
+});
+
+test('a disabled site stays off in a tab that is switched on', () => {
+    const rules = normalizeSiteRules({ blocked: ['example.com'] });
+    assert.equal(isPageEnabled(true, 'https://www.example.com/', rules), false);
+    assert.equal(isPageEnabled(true, 'https://other.org/', rules), true);
+    assert.equal(isPageEnabled(false, 'https://other.org/', rules), false);
+    // Without a URL (e.g. a tab still loading) only the on/off state counts
+    assert.equal(isPageEnabled(true, undefined, rules), true);
+});
+
+test('disabling a site blocks its hostname, and enabling it removes every pattern that blocks it', () => {
+    const empty = normalizeSiteRules();
+    const disabled = setSiteEnabled(empty, 'https://www.example.com/page', false);
+    assert.deepEqual(disabled.blocked, ['www.example.com']);
+    assert.deepEqual(empty.blocked, []);
+    assert.equal(isSiteEnabled('https://example.com/', disabled), false);
+
+    // A site already covered by a pattern is not added twice
+    assert.deepEqual(setSiteEnabled(disabled, 'https://example.com/', false).blocked, ['www.example.com']);
+
+    const blocked = { ...empty, blocked: ['example.com', '*.example.com', 'other.org'] };
+    const enabled = setSiteEnabled(blocked, 'https://mail.example.com/', true);
+    assert.deepEqual(enabled.blocked, ['other.org']);
+    assert.equal(isSiteEnabled('https://mail.example.com/', enabled), true);
+});
+
+test('in allowlist mode, enabling a site allows it and disabling it removes it from the list', () => {
+    const rules = normalizeSiteRules({ mode: SITE_MODES.ALLOWLIST });
+    const enabled = setSiteEnabled(rules, 'https://example.com/', true);
+    assert.deepEqual(enabled.allowed, ['example.com']);
+    assert.equal(isSiteEnabled('https://example.com/', enabled), true);
+
+    const disabled = setSiteEnabled(enabled, 'https://example.com/', false);
+    assert.deepEqual(disabled.allowed, []);
+    assert.equal(isSiteEnabled('https://example.com/', disabled), false);
+});
+
+test('pages without a hostname leave the rules as they are', () => {
+    const rules = normalizeSiteRules({ blocked: ['example.com'] });
+    assert.deepEqual(setSiteEnabled(rules, 'about:blank', false), rules);
+});
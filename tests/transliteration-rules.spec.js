@@ -0,0 +1,28 @@
+// transliteration-rules.spec.js
+// Unit tests of how ArabicTransliterator applies the user's custom character rules.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArabicTransliterator } from '../background/transliteration-rules.js';
+
+test('custom rules override the built-in rules', () => {
+    const transliterator = new ArabicTransliterator();
+    transliterator.setCustomRules([{ latin: 'g', arabic: 'ق' }]);
+    assert.equal(transliterator.transliterate('gamar'), 'قمر');
+});
+
+test('custom rules are tried in list order, before longer built-in rules', () => {
+    const transliterator = new ArabicTransliterator();
+    transliterator.setCustomRules([{ latin: 'sh', arabic: 'س' }, { latin: 's', arabic: 'ص' }]);
+    assert.equal(transliterator.transliterate('shams'), 'سمص');
+
+    // The same rules the other way round: 's' now comes first and takes the 's' of "sh"
+    transliterator.setCustomRules([{ latin: 's', arabic: 'ص' }, { latin: 'sh', arabic: 'س' }]);
+    assert.equal(transliterator.transliterate('shams'), 'صهمص');
+});
+
+test('a lowercase custom rule does not take an uppercase letter that has a rule of its own', () => {
+    const transliterator = new ArabicTransliterator();
+    transliterator.setCustomRules([{ latin: 's', arabic: 'ث' }]);
+    assert.equal(transliterator.transliterate('Sabr'), 'صبر');
+});